@@ -17,9 +17,23 @@ const os = require('os');
 const pathsMod = require('./scripts/lib/paths.js');
 const fileOps = require('./scripts/lib/file-ops.js');
 const configMutator = require('./scripts/lib/config-mutator.js');
+const overlays = require('./scripts/lib/overlays.js');
+const components = require('./scripts/lib/components.js');
+const profilesMod = require('./scripts/lib/profiles.js');
+const languageDetect = require('./scripts/lib/language-detect.js');
+const transaction = require('./scripts/lib/transaction.js');
+const lockMod = require('./scripts/lib/lock.js');
+const verifyMod = require('./scripts/lib/verify.js');
+const tarball = require('./scripts/lib/tarball.js');
+const versions = require('./scripts/lib/versions.js');
+const projectList = require('./scripts/lib/project-list.js');
+const workspaceMod = require('./scripts/lib/workspace.js');
+const jsonc = require('./scripts/lib/jsonc.js');
+const backupsMod = require('./scripts/lib/backups.js');
 
 const PACKAGE_NAME = 'agents-opencode';
 const BACKUP_DIR = '.backups';
+const BUNDLED_SOURCE = 'bundled';
 const AGENT_DIR_LEGACY = 'agent';
 const PROJECT_TEMPLATE_FILES = [
     path.join('state', 'session-state.json'),
@@ -35,8 +49,34 @@ const colors = {
     reset: '\x1b[0m',
 };
 
+// When a machine-readable report is requested, progress logs move to stderr
+// so stdout carries only the JSON document.
+const outputOptions = {
+    json: false,
+};
+
+const BACKUP_ACTIONS = ['list', 'show', 'prune', 'verify'];
+
+// --backup-format: new sessions are written as a directory of copies or as a
+// single <backupId>.tar.gz archive. Both layouts are always readable.
+const backupOptions = {
+    format: 'directory',
+};
+
+// --keep-backups / --backup-max-age; unset values fall back to the scope's
+// configured retention (see backups.resolveBackupRetention).
+const backupRetentionOverrides = {
+    keep: undefined,
+    maxAgeDays: undefined,
+};
+
 function log(color, prefix, message) {
-    console.log(`${color}[${prefix}]${colors.reset} ${message}`);
+    const line = `${color}[${prefix}]${colors.reset} ${message}`;
+    if (outputOptions.json) {
+        console.error(line);
+        return;
+    }
+    console.log(line);
 }
 
 function info(message) {
@@ -78,7 +118,7 @@ function resolveUniqueBackupLocation(backupRoot, baseBackupId) {
     let backupDir = path.join(backupRoot, backupId);
     let counter = 1;
 
-    while (fs.existsSync(backupDir)) {
+    while (fs.existsSync(backupDir) || fs.existsSync(backupDir + backupsMod.ARCHIVE_EXTENSION)) {
         backupId = `${baseBackupId}--${String(counter).padStart(2, '0')}`;
         backupDir = path.join(backupRoot, backupId);
         counter += 1;
@@ -87,50 +127,21 @@ function resolveUniqueBackupLocation(backupRoot, baseBackupId) {
     return { backupId, backupDir };
 }
 
-function pruneBackupRetention(backupRoot, maxBackups, maxAgeDays) {
-    if (typeof maxBackups === 'undefined') maxBackups = 10;
-    if (typeof maxAgeDays === 'undefined') maxAgeDays = 30;
-    if (!fs.existsSync(backupRoot)) {
-        return 0;
-    }
-
-    let prunedCount = 0;
-
-    const cutoffMs = Date.now() - (maxAgeDays * 24 * 60 * 60 * 1000);
-    const backupDirs = fs.readdirSync(backupRoot, { withFileTypes: true })
-        .filter(function (entry) { return entry.isDirectory(); })
-        .map(function (entry) { return entry.name; })
-        .sort()
-        .reverse();
-
-    for (var i = 0; i < backupDirs.slice(maxBackups).length; i++) {
-        var dirName = backupDirs.slice(maxBackups)[i];
-        removeDirectoryIfExists(path.join(backupRoot, dirName));
-        prunedCount += 1;
-    }
-
-    const remainingDirs = fs.readdirSync(backupRoot, { withFileTypes: true })
-        .filter(function (entry) { return entry.isDirectory(); })
-        .map(function (entry) { return entry.name; });
-
-    for (var j = 0; j < remainingDirs.length; j++) {
-        var dirName2 = remainingDirs[j];
-        var backupPath = path.join(backupRoot, dirName2);
-        try {
-            var stat = fs.statSync(backupPath);
-            if (stat.mtimeMs < cutoffMs) {
-                removeDirectoryIfExists(backupPath);
-                prunedCount += 1;
-            }
-        } catch {
-            // ignore retention errors
+// Remove the sessions outside the retention policy; returns them.
+function pruneBackupRetention(backupRoot, retention, options) {
+    const dryRun = Boolean(options && options.dryRun);
+    const pruned = backupsMod.selectSessionsToPrune(backupsMod.listBackupSessions(backupRoot), retention);
+    pruned.forEach(function (session) {
+        session.bytes = backupsMod.getSessionSize(session);
+        if (!dryRun) {
+            backupsMod.removeSession(session);
         }
-    }
-
-    return prunedCount;
+    });
+    return pruned;
 }
 
-function createBackupSession(paths, operation) {
+function createBackupSession(paths, operation, options) {
+    const dryRun = Boolean(options && options.dryRun);
     const createdAt = new Date();
     const stamp = formatBackupTimestamp(createdAt);
     const baseBackupId = `${stamp}--${operation}--${paths.scope}`;
@@ -149,18 +160,40 @@ function createBackupSession(paths, operation) {
             return false;
         }
 
-        const targetPath = path.join(backupDir, normalizedRelativePath);
-        fileOps.ensureDir(path.dirname(targetPath));
-        fs.copyFileSync(absolutePath, targetPath);
-        entries.push({ path: normalizedRelativePath });
+        const entry = { path: normalizedRelativePath };
+        if (!dryRun) {
+            const targetPath = path.join(backupDir, normalizedRelativePath);
+            fileOps.ensureDir(path.dirname(targetPath));
+            fs.copyFileSync(absolutePath, targetPath);
+            // Recorded so --backups verify can tell a damaged backup from a good one.
+            entry.sha256 = fileOps.hashFile(targetPath);
+            entry.size = fs.statSync(targetPath).size;
+        }
+        entries.push(entry);
         seen.add(normalizedRelativePath);
         return true;
     }
 
+    function getPlannedFiles() {
+        return entries.map(function (entry) { return entry.path; });
+    }
+
+    function getBackupPath(relativePathFromRoot) {
+        return path.join(backupDir, relativePathFromRoot);
+    }
+
+    // Drop the session without recording it, e.g. after a rolled-back install.
+    function discard() {
+        removeDirectoryIfExists(backupDir);
+        if (fs.existsSync(backupRoot) && fs.readdirSync(backupRoot).length === 0) {
+            fs.rmdirSync(backupRoot);
+        }
+    }
+
     function finalize() {
-        if (entries.length === 0) {
+        if (dryRun || entries.length === 0) {
             removeDirectoryIfExists(backupDir);
-            return { created: false, backupDir: null, backupId: null, count: 0, prunedCount: 0 };
+            return { created: false, backupPath: null, backupId: null, count: 0, prunedCount: 0 };
         }
 
         const manifest = {
@@ -172,26 +205,390 @@ function createBackupSession(paths, operation) {
             rootDir: paths.rootDir,
             files: entries,
         };
-        fileOps.writeJsonFile(path.join(backupDir, 'backup-manifest.json'), manifest);
-        const prunedCount = pruneBackupRetention(backupRoot);
+        fileOps.writeJsonFile(path.join(backupDir, backupsMod.BACKUP_MANIFEST), manifest);
+        let backupPath = backupDir;
+        if (backupOptions.format === 'tar.gz') {
+            // Files stay staged in backupDir until now so a rollback can read
+            // them back through getBackupPath.
+            backupPath = backupDir + backupsMod.ARCHIVE_EXTENSION;
+            tarball.createTarball(backupPath, backupDir, getPlannedFiles().concat(backupsMod.BACKUP_MANIFEST));
+            removeDirectoryIfExists(backupDir);
+        }
+        const prunedCount = pruneBackupRetention(backupRoot, backupsMod.resolveBackupRetention(paths, backupRetentionOverrides, warning)).length;
 
         return {
             created: true,
-            backupDir,
+            backupPath,
             backupId,
             count: entries.length,
             prunedCount,
         };
     }
 
-    return { backupFile, finalize };
+    return { backupFile, finalize, getPlannedFiles, getBackupPath, discard };
 }
 
-function printBackupRestoreHint(backupResult) {
+function printBackupRestoreHint(backupResult, paths) {
     if (!backupResult || !backupResult.created) {
         return;
     }
-    info(`Restore hint: review ${path.join(backupResult.backupDir, 'backup-manifest.json')} and copy files back to original paths.`);
+    const scopeFlag = paths && paths.scope === 'global' ? '--global' : `--project ${paths ? paths.rootDir : '.'}`;
+    info(`Restore hint: npx ${PACKAGE_NAME} --restore ${backupResult.backupId} ${scopeFlag}`);
+}
+
+function listBackupSessions(paths) {
+    // Newest first; ids share a second-level timestamp, so order by createdAt.
+    return backupsMod.listBackupSessions(getBackupRoot(paths)).filter(function (session) {
+        return session.manifest !== null;
+    });
+}
+
+function isPathInside(parentDir, candidatePath) {
+    const relative = path.relative(path.resolve(parentDir), path.resolve(candidatePath));
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+function formatRetention(retention) {
+    const keep = retention.keep > 0 ? `keep ${retention.keep} newest` : 'no count limit';
+    const age = retention.maxAgeDays > 0 ? `${retention.maxAgeDays} day(s)` : 'no age limit';
+    return `${keep}, ${age}`;
+}
+
+function describeBackupSession(session) {
+    return {
+        backupId: session.backupId,
+        format: session.format,
+        operation: session.manifest.operation,
+        createdAt: session.manifest.createdAt,
+        files: session.manifest.files.length,
+        bytes: backupsMod.getSessionSize(session),
+    };
+}
+
+// --backups list (and --list-backups): sessions per scope with sizes and the
+// retention that applies to them.
+function showBackupSessions(scopes, projectDir) {
+    const report = scopes.map(function (scope) {
+        const paths = pathsMod.getScopePaths(scope, projectDir);
+        const backupRoot = getBackupRoot(paths);
+        return {
+            scope,
+            dir: backupRoot,
+            bytes: backupsMod.getDirectorySize(backupRoot),
+            retention: backupsMod.resolveBackupRetention(paths, backupRetentionOverrides, warning),
+            sessions: listBackupSessions(paths).map(describeBackupSession),
+        };
+    });
+
+    if (outputOptions.json) {
+        console.log(JSON.stringify({ package: PACKAGE_NAME, scopes: report }, null, 2));
+        return true;
+    }
+
+    let total = 0;
+    report.forEach(function (entry) {
+        console.log(`\n${entry.scope} backups (${entry.dir}): ${formatBytes(entry.bytes)}; retention: ${formatRetention(entry.retention)}`);
+        if (entry.sessions.length === 0) {
+            console.log('  (none)');
+            return;
+        }
+        entry.sessions.forEach(function (session) {
+            console.log(`  ${session.backupId}  scope=${entry.scope}  operation=${session.operation}  createdAt=${session.createdAt}  files=${session.files}  size=${formatBytes(session.bytes)}${session.format === 'directory' ? '' : `  format=${session.format}`}`);
+        });
+        total += entry.sessions.length;
+    });
+
+    console.log(`\n${total} backup session(s) found.`);
+    return true;
+}
+
+// Find a session by id across the requested scopes; without an id, the newest.
+function findBackupSession(scopes, projectDir, backupId) {
+    const candidates = [];
+    scopes.forEach(function (scope) {
+        listBackupSessions(pathsMod.getScopePaths(scope, projectDir)).forEach(function (session) {
+            candidates.push({ scope, session });
+        });
+    });
+    if (backupId) {
+        return candidates.find(function (candidate) { return candidate.session.backupId === backupId; }) || null;
+    }
+    return candidates.sort(function (a, b) {
+        return String(b.session.createdAt).localeCompare(String(a.session.createdAt));
+    })[0] || null;
+}
+
+function showBackupSession(scopes, projectDir, backupId) {
+    const found = findBackupSession(scopes, projectDir, backupId);
+    if (!found) {
+        error(backupId
+            ? `Backup session '${backupId}' not found for ${scopes.join(' or ')} scope. Use --backups list to see available sessions.`
+            : 'No backup sessions found.');
+        return false;
+    }
+
+    const session = found.session;
+    const manifest = session.manifest;
+    const files = manifest.files.map(function (entry) {
+        const content = backupsMod.readSessionFile(session, entry.path);
+        return {
+            path: entry.path,
+            bytes: content === null ? null : content.length,
+            sha256: entry.sha256 || null,
+        };
+    });
+    const details = {
+        scope: found.scope,
+        backupId: session.backupId,
+        format: session.format,
+        backupPath: session.backupPath,
+        operation: manifest.operation,
+        createdAt: manifest.createdAt,
+        rootDir: manifest.rootDir,
+        bytes: backupsMod.getSessionSize(session),
+        files,
+    };
+
+    if (outputOptions.json) {
+        console.log(JSON.stringify({ package: PACKAGE_NAME, session: details }, null, 2));
+        return true;
+    }
+
+    const lines = [
+        `\nBackup ${details.backupId} (${details.scope} scope)`,
+        `  Operation: ${details.operation}`,
+        `  Created: ${details.createdAt}`,
+        `  Root: ${details.rootDir}`,
+        `  Location: ${details.backupPath} (${details.format})`,
+        `  Files (${files.length}, ${formatBytes(details.bytes)} on disk):`,
+    ];
+    files.forEach(function (file) {
+        const size = file.bytes === null ? 'missing' : formatBytes(file.bytes);
+        lines.push(`    ${file.path}  ${size}${file.sha256 ? `  sha256 ${file.sha256.slice(0, 12)}` : ''}`);
+    });
+    console.log(lines.join('\n'));
+    return true;
+}
+
+function pruneBackups(scopes, projectDir, options) {
+    const dryRun = Boolean(options.dryRun);
+    const report = [];
+    for (const scope of scopes) {
+        const scopeOptions = { scope, projectDir: scope === 'project' ? projectDir : null, dryRun, breakLock: options.breakLock };
+        const ok = withScopeLock(scopeOptions, 'prune', function () {
+            const paths = pathsMod.getScopePaths(scope, projectDir);
+            const retention = backupsMod.resolveBackupRetention(paths, backupRetentionOverrides, warning);
+            const pruned = pruneBackupRetention(getBackupRoot(paths), retention, { dryRun });
+            report.push({
+                scope,
+                retention,
+                pruned: pruned.map(function (session) {
+                    return { backupId: session.backupId, createdAt: session.createdAt, bytes: session.bytes };
+                }),
+            });
+            return true;
+        });
+        if (!ok) {
+            return false;
+        }
+    }
+
+    if (outputOptions.json) {
+        console.log(JSON.stringify({ dryRun, package: PACKAGE_NAME, scopes: report }, null, 2));
+        return true;
+    }
+
+    report.forEach(function (entry) {
+        const bytes = entry.pruned.reduce(function (total, session) { return total + session.bytes; }, 0);
+        const verb = dryRun ? 'Would prune' : 'Pruned';
+        info(`${entry.scope}: ${verb} ${entry.pruned.length} backup session(s), ${formatBytes(bytes)} (${formatRetention(entry.retention)})`);
+        entry.pruned.forEach(function (session) {
+            console.log(`  ${session.backupId}  createdAt=${session.createdAt}  size=${formatBytes(session.bytes)}`);
+        });
+    });
+    return true;
+}
+
+// Check every file listed in each session's backup-manifest.json is present and
+// unchanged. Returns false when any session fails.
+function verifyBackups(scopes, projectDir, backupId) {
+    const report = scopes.map(function (scope) {
+        const sessions = backupsMod.listBackupSessions(getBackupRoot(pathsMod.getScopePaths(scope, projectDir)))
+            .filter(function (session) { return !backupId || session.backupId === backupId; });
+        return { scope, sessions: sessions.map(backupsMod.verifyBackupSession) };
+    });
+    const checked = report.reduce(function (total, entry) { return total + entry.sessions.length; }, 0);
+    if (backupId && checked === 0) {
+        error(`Backup session '${backupId}' not found for ${scopes.join(' or ')} scope. Use --backups list to see available sessions.`);
+        return false;
+    }
+    const verified = report.every(function (entry) {
+        return entry.sessions.every(function (session) { return session.ok; });
+    });
+
+    if (outputOptions.json) {
+        console.log(JSON.stringify({ verified, package: PACKAGE_NAME, scopes: report }, null, 2));
+        return verified;
+    }
+
+    report.forEach(function (entry) {
+        entry.sessions.forEach(function (session) {
+            const unhashed = session.unhashed > 0 ? ` (${session.unhashed} without a recorded hash, checked for presence only)` : '';
+            if (session.ok) {
+                success(`✓ ${entry.scope} ${session.backupId}: ${session.files} file(s) intact${unhashed}`);
+                return;
+            }
+            const problems = [];
+            if (session.error) problems.push(session.error);
+            if (session.missing.length > 0) problems.push(`missing: ${session.missing.join(', ')}`);
+            if (session.modified.length > 0) problems.push(`modified: ${session.modified.join(', ')}`);
+            error(`✗ ${entry.scope} ${session.backupId}: ${problems.join('; ')}`);
+        });
+    });
+    if (verified) {
+        success(`All ${checked} backup session(s) verified.`);
+    }
+    return verified;
+}
+
+function runBackupsAction(parsed, scopes) {
+    const projectDir = parsed.project || process.cwd();
+    if (parsed.dryRun && parsed.backups !== 'prune') {
+        error('--dry-run is only supported with --backups prune.');
+        return false;
+    }
+    switch (parsed.backups) {
+        case 'show':
+            return showBackupSession(scopes, projectDir, parsed.backupsId);
+        case 'prune':
+            return pruneBackups(scopes, projectDir, { dryRun: parsed.dryRun, breakLock: parsed.breakLock });
+        case 'verify':
+            return verifyBackups(scopes, projectDir, parsed.backupsId);
+        default:
+            return showBackupSessions(scopes, projectDir);
+    }
+}
+
+// Writers on a scope hold <rootDir>/.agents-opencode.lock for the whole run so
+// concurrent installer processes cannot interleave. Dry runs only read.
+function withScopeLock(options, operation, run) {
+    if (options.dryRun) {
+        return run();
+    }
+
+    const paths = pathsMod.getScopePaths(options.scope, options.projectDir);
+    if (!fs.existsSync(paths.rootDir)) {
+        if (options.scope !== 'global' || (operation !== 'install' && operation !== 'update')) {
+            return run();
+        }
+        fileOps.ensureDir(paths.rootDir);
+    }
+
+    let lock;
+    try {
+        lock = lockMod.acquireLock(paths.rootDir, { operation: operation, breakLock: options.breakLock, logWarning: warning });
+    } catch (err) {
+        error(`Could not create lock file in ${paths.rootDir}: ${err.message}`);
+        return false;
+    }
+    if (!lock.acquired) {
+        error(`Another ${PACKAGE_NAME} run is modifying the ${options.scope} scope: ${lock.description}.`);
+        info(`Wait for it to finish, or rerun with --break-lock if that run is no longer active (${lock.lockPath}).`);
+        return false;
+    }
+
+    try {
+        return run();
+    } finally {
+        lock.release();
+    }
+}
+
+function restoreScope(options) {
+    return withScopeLock(options, 'restore', function () {
+        return runRestoreScope(options);
+    });
+}
+
+function runRestoreScope(options) {
+    const { scope, projectDir, backupId } = options;
+    const paths = pathsMod.getScopePaths(scope, projectDir);
+    const sessions = listBackupSessions(paths);
+
+    if (sessions.length === 0) {
+        error(`No backup sessions found for ${scope} scope at ${getBackupRoot(paths)}.`);
+        return false;
+    }
+
+    let session = sessions[0];
+    if (backupId) {
+        session = sessions.find(function (candidate) { return candidate.backupId === backupId; });
+        if (!session) {
+            error(`Backup session '${backupId}' not found for ${scope} scope. Use --backups list to see available sessions.`);
+            return false;
+        }
+    }
+
+    const manifest = session.manifest;
+    if (manifest.package !== PACKAGE_NAME || manifest.scope !== scope) {
+        error(`Backup session '${session.backupId}' was created for ${manifest.scope} scope, not ${scope}; refusing to restore.`);
+        return false;
+    }
+    if (path.resolve(manifest.rootDir || '') !== path.resolve(paths.rootDir)) {
+        error(`Backup session '${session.backupId}' belongs to ${manifest.rootDir}, not ${paths.rootDir}; refusing to restore.`);
+        return false;
+    }
+
+    const missing = [];
+    for (var i = 0; i < manifest.files.length; i++) {
+        var relativePath = manifest.files[i] && manifest.files[i].path;
+        if (!relativePath || !isPathInside(paths.rootDir, path.join(paths.rootDir, relativePath))) {
+            error(`Backup session '${session.backupId}' lists an invalid path: ${relativePath}`);
+            return false;
+        }
+        if (backupsMod.readSessionFile(session, relativePath) === null) {
+            missing.push(relativePath);
+        }
+    }
+    if (missing.length > 0) {
+        error(`Backup session '${session.backupId}' is incomplete; missing: ${missing.join(', ')}`);
+        return false;
+    }
+
+    info(`Restoring ${manifest.files.length} file(s) from ${session.backupId} (${manifest.operation}, ${manifest.createdAt})`);
+
+    const backupSession = createBackupSession(paths, 'restore');
+    let restoredCount = 0;
+    let unchangedCount = 0;
+
+    for (var j = 0; j < manifest.files.length; j++) {
+        var filePath = manifest.files[j].path;
+        var content = backupsMod.readSessionFile(session, filePath);
+        var dest = path.join(paths.rootDir, filePath);
+
+        if (fs.existsSync(dest)) {
+            if (fs.readFileSync(dest).equals(content)) {
+                unchangedCount += 1;
+                continue;
+            }
+            backupSession.backupFile(dest, filePath);
+        }
+
+        fileOps.ensureDir(path.dirname(dest));
+        fs.writeFileSync(dest, content);
+        restoredCount += 1;
+    }
+
+    const backupResult = backupSession.finalize();
+    if (backupResult.created) {
+        info(`Backup of overwritten files saved: ${backupResult.backupPath} (${backupResult.count} file(s))`);
+        if (backupResult.prunedCount > 0) {
+            info(`Pruned ${backupResult.prunedCount} old backup session(s) by retention policy.`);
+        }
+    }
+
+    success(`✅ Restored ${restoredCount} file(s) for ${scope} scope; ${unchangedCount} already matched the backup.`);
+    return true;
 }
 
 function validatePackageContents(sourceDir) {
@@ -226,6 +623,86 @@ function checkVersion(sourceDir) {
     return null;
 }
 
+const loadedSources = {};
+const extractedSourceDirs = [];
+
+// Resolve an install source: this package ("bundled"), another package
+// directory, or an npm-style .tgz extracted to a temp directory. Returns null
+// after reporting an error.
+function loadInstallSource(from) {
+    const key = !from || from === BUNDLED_SOURCE ? BUNDLED_SOURCE : path.resolve(from);
+    if (loadedSources[key]) {
+        return loadedSources[key];
+    }
+
+    let sourceDir = __dirname;
+    let origin = { type: 'package', path: null };
+    if (key !== BUNDLED_SOURCE) {
+        if (!fs.existsSync(key)) {
+            error(`Install source not found: ${key}`);
+            return null;
+        }
+        if (fs.statSync(key).isDirectory()) {
+            sourceDir = key;
+            origin = { type: 'directory', path: key };
+        } else if (/\.(tgz|tar\.gz)$/i.test(key)) {
+            const extractDir = fs.mkdtempSync(path.join(os.tmpdir(), `${PACKAGE_NAME}-source-`));
+            if (extractedSourceDirs.length === 0) {
+                process.once('exit', function () {
+                    extractedSourceDirs.forEach(removeDirectoryIfExists);
+                });
+            }
+            extractedSourceDirs.push(extractDir);
+            try {
+                tarball.extractTarball(key, extractDir);
+            } catch (err) {
+                error(`Could not extract ${key}: ${err.message}`);
+                return null;
+            }
+            // npm pack archives keep everything under package/
+            sourceDir = fs.existsSync(path.join(extractDir, 'package', '.opencode')) ? path.join(extractDir, 'package') : extractDir;
+            origin = { type: 'tarball', path: key };
+        } else {
+            error(`Unsupported install source ${key}: use a package directory or a .tgz archive.`);
+            return null;
+        }
+        info(`Using install source: ${key}`);
+    }
+
+    if (!validatePackageContents(sourceDir)) {
+        return null;
+    }
+
+    let sourceConfig;
+    try {
+        sourceConfig = configMutator.loadSourceConfig(sourceDir, warning);
+    } catch (err) {
+        error(err.message);
+        return null;
+    }
+
+    const sourceOpencodeDir = path.join(sourceDir, '.opencode');
+    loadedSources[key] = {
+        sourceDir,
+        sourceOpencodeDir,
+        sourceConfig,
+        sourceManagedFiles: fileOps.getManagedSourceFiles(sourceOpencodeDir),
+        version: checkVersion(sourceDir),
+        origin,
+    };
+    return loadedSources[key];
+}
+
+// --from wins; otherwise --update keeps using the source recorded by the last install.
+function getScopeSourceRequest(scope, projectDir, from) {
+    if (from) {
+        return from;
+    }
+    const manifest = readManifest(pathsMod.getScopePaths(scope, projectDir).manifestPath);
+    const recorded = manifest && manifest.source;
+    return recorded && recorded.type !== 'package' && recorded.path ? recorded.path : null;
+}
+
 function showVersion(sourceDir) {
     try {
         const packagePath = path.join(sourceDir, 'package.json');
@@ -243,13 +720,18 @@ function showVersion(sourceDir) {
     }
 }
 
-function installProjectTemplateFiles(sourceDir, scope, paths, backupSession) {
+// options.packageDir installs the templates into a workspace package instead
+// of the project root; returned paths are relative to the project root.
+function installProjectTemplateFiles(sourceDir, scope, paths, backupSession, options) {
+    const dryRun = Boolean(options && options.dryRun);
+    const packageDir = (options && options.packageDir) || '';
     if (scope !== 'project') {
-        return { installedCount: 0, skippedCount: 0 };
+        return { installedCount: 0, skippedCount: 0, installedFiles: [] };
     }
 
     let installedCount = 0;
     let skippedCount = 0;
+    const installedFiles = [];
 
     for (var i = 0; i < PROJECT_TEMPLATE_FILES.length; i++) {
         var relativePath = PROJECT_TEMPLATE_FILES[i];
@@ -259,8 +741,8 @@ function installProjectTemplateFiles(sourceDir, scope, paths, backupSession) {
             continue;
         }
 
-        var dest = path.join(paths.rootDir, relativePath);
-        fileOps.ensureDir(path.dirname(dest));
+        var targetPath = path.join(packageDir, relativePath);
+        var dest = path.join(paths.rootDir, targetPath);
 
         if (fs.existsSync(dest)) {
             skippedCount += 1;
@@ -269,81 +751,120 @@ function installProjectTemplateFiles(sourceDir, scope, paths, backupSession) {
 
         try {
             if (backupSession) {
-                backupSession.backupFile(dest, relativePath);
+                backupSession.backupFile(dest, targetPath);
             }
         } catch {
             // backup not required for first-write path
         }
 
-        fs.copyFileSync(src, dest);
+        if (!dryRun) {
+            fileOps.ensureDir(path.dirname(dest));
+            fs.copyFileSync(src, dest);
+        }
         installedCount += 1;
+        installedFiles.push(targetPath);
     }
 
-    return { installedCount, skippedCount };
+    return { installedCount, skippedCount, installedFiles };
 }
 
-function revertInstallerConfig(targetConfigPath, configPatch, sourceConfig, onBeforeMutate) {
+function revertInstallerConfig(targetConfigPath, configPatch, sourceConfig, onBeforeMutate, options) {
+    const dryRun = Boolean(options && options.dryRun);
+    const unchanged = { changed: false, removedFile: false, removedPaths: [], removedArrayItems: [] };
     if (!configPatch) {
-        return { changed: false, removedFile: false };
+        return unchanged;
     }
 
     if (!fs.existsSync(targetConfigPath)) {
-        return { changed: false, removedFile: false };
+        return unchanged;
     }
 
-    if (configPatch.createdFile) {
+    // Remove keys by editing the text so comments and formatting in JSONC configs survive.
+    const text = fs.readFileSync(targetConfigPath, 'utf8');
+    const existing = jsonc.readJsoncFile(targetConfigPath, `existing config at ${targetConfigPath}`, warning);
+    if (!existing || !fileOps.isObject(existing)) {
+        warning(`Could not revert config changes for ${targetConfigPath}; it could not be parsed.`);
+        return unchanged;
+    }
+
+    const reverted = configMutator.revertConfigPatch(text, configPatch, sourceConfig, warning, targetConfigPath);
+    const changed = reverted.text !== text;
+
+    // A config the installer created is deleted once nothing else is left in it.
+    const removeFile = Boolean(configPatch.createdFile) && Object.keys(jsonc.parse(reverted.text)).length === 0;
+
+    if (changed) {
         if (typeof onBeforeMutate === 'function') {
             onBeforeMutate();
         }
-        fs.unlinkSync(targetConfigPath);
-        return { changed: true, removedFile: true };
-    }
-
-    const existing = fileOps.readJsonFile(targetConfigPath, `existing config at ${targetConfigPath}`, warning);
-    if (!existing || !fileOps.isObject(existing)) {
-        warning(`Could not revert config changes for ${targetConfigPath}; invalid JSON.`);
-        return { changed: false, removedFile: false };
+        if (!dryRun) {
+            if (removeFile) {
+                fs.unlinkSync(targetConfigPath);
+            } else {
+                fs.writeFileSync(targetConfigPath, reverted.text);
+            }
+        }
     }
 
-    let changed = false;
+    return {
+        changed,
+        removedFile: removeFile,
+        removedPaths: reverted.removedPaths,
+        removedArrayItems: reverted.removedArrayItems,
+        restoredPaths: reverted.restoredPaths,
+    };
+}
 
-    if (Array.isArray(configPatch.addedPermissionKeys) && fileOps.isObject(existing.permission)) {
-        for (var i = 0; i < configPatch.addedPermissionKeys.length; i++) {
-            var key = configPatch.addedPermissionKeys[i];
-            if (!(key in existing.permission)) {
-                continue;
-            }
+// Config paths and array items as they appear in plans and status reports.
+function describeConfigPaths(entries) {
+    return (entries || []).map(function (entry) { return configMutator.formatConfigPath(entry.path); });
+}
 
-            var sourceValue = sourceConfig && fileOps.isObject(sourceConfig.permission) ? sourceConfig.permission[key] : undefined;
-            if (sourceValue !== undefined && JSON.stringify(existing.permission[key]) !== JSON.stringify(sourceValue)) {
-                warning(`Keeping modified permission key '${key}' in ${targetConfigPath}; value differs from installer default.`);
-                continue;
-            }
+function describeConfigArrayItems(entries) {
+    return (entries || []).map(function (entry) {
+        return { path: configMutator.formatConfigPath(entry.path), items: entry.items };
+    });
+}
 
-            delete existing.permission[key];
-            changed = true;
-        }
+function describeConfigConflicts(conflicts) {
+    return (conflicts || []).map(function (conflict) {
+        return { path: configMutator.formatConfigPath(conflict.path), value: conflict.value, default: conflict.default };
+    });
+}
 
-        if (Object.keys(existing.permission).length === 0) {
-            delete existing.permission;
-            changed = true;
-        }
-    }
+function formatConfigValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
 
-    var schemaWasCreatedByInstaller = Boolean(configPatch.createdSchema || configPatch.addedSchema);
-    if (schemaWasCreatedByInstaller && sourceConfig && sourceConfig.$schema && existing.$schema === sourceConfig.$schema) {
-        delete existing.$schema;
-        changed = true;
+// Warning table of user permissions weaker than the package defaults.
+function reportConfigConflicts(conflicts, enforced) {
+    if (!conflicts || conflicts.length === 0) {
+        return;
     }
-
-    if (changed) {
-        if (typeof onBeforeMutate === 'function') {
-            onBeforeMutate();
-        }
-        fileOps.writeJsonFile(targetConfigPath, existing);
+    const rows = describeConfigConflicts(conflicts).map(function (conflict) {
+        return [conflict.path, formatConfigValue(conflict.value), formatConfigValue(conflict.default)];
+    });
+    const widths = [0, 1].map(function (column) {
+        return Math.max.apply(null, [['SETTING', 'YOURS'][column]].concat(rows.map(function (row) { return row[column]; })).map(function (text) {
+            return text.length;
+        }));
+    });
+    warning(`${rows.length} config value(s) are weaker than the package security defaults:`);
+    const log = outputOptions.json ? console.error : console.log;
+    log([`  ${'SETTING'.padEnd(widths[0])}  ${'YOURS'.padEnd(widths[1])}  PACKAGE`].concat(rows.map(function (row) {
+        return `  ${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2]}`;
+    })).join('\n'));
+    if (enforced) {
+        success(`✓ Tightened ${rows.length} config value(s) to the package defaults`);
+    } else {
+        info('Re-run with --enforce-defaults to apply the package defaults (the config is backed up first).');
     }
+}
 
-    return { changed, removedFile: false };
+function formatConfigChanges(paths, arrayItems) {
+    return paths.concat(arrayItems.map(function (entry) {
+        return `${entry.path}[${entry.items.map(formatConfigValue).join(', ')}]`;
+    }));
 }
 
 function writeManifest(manifestPath, manifest) {
@@ -406,28 +927,523 @@ function verifyInstallation(opencodeDir, scope) {
     }
 }
 
-function installScope(options) {
+function getPlannedInstructionFiles(paths, sourceManagedFiles) {
+    const plannedFiles = new Set();
+    const instructionsDir = path.join(paths.opencodeDir, 'instructions');
+    if (fs.existsSync(instructionsDir)) {
+        fs.readdirSync(instructionsDir).forEach(function (file) { plannedFiles.add(file); });
+    }
+    for (var i = 0; i < sourceManagedFiles.length; i++) {
+        var relativeFile = sourceManagedFiles[i];
+        if (path.dirname(relativeFile) === 'instructions') {
+            plannedFiles.add(path.basename(relativeFile));
+        }
+    }
+    return Array.from(plannedFiles);
+}
+
+function diffLists(previous, next) {
+    const previousSet = new Set(previous || []);
+    const nextSet = new Set(next || []);
+    return {
+        added: (next || []).filter(function (item) { return !previousSet.has(item); }),
+        removed: (previous || []).filter(function (item) { return !nextSet.has(item); }),
+    };
+}
+
+// Both lists hold managed paths, relative to the scope root.
+function reportPreservedFiles(localFiles, conflictFiles) {
+    if (localFiles.length > 0) {
+        warning(`Kept ${localFiles.length} locally modified file(s); the package copy is unchanged:`);
+        localFiles.forEach(function (file) { console.log(`    = ${file}`); });
+    }
+
+    if (conflictFiles.length > 0) {
+        warning(`Conflict: ${conflictFiles.length} file(s) changed both locally and in the package; kept the local version:`);
+        conflictFiles.forEach(function (file) { console.log(`    ! ${file}`); });
+    }
+
+    if (localFiles.length > 0 || conflictFiles.length > 0) {
+        info('Re-run with --force to replace them with the package copies (the local versions are backed up first).');
+    }
+}
+
+// CLI selections replace the recorded selection per component type; types not
+// given on the command line keep what the previous install recorded.
+function resolveComponentSelections(existingManifest, cliSelections) {
+    const recorded = existingManifest && existingManifest.components ? existingManifest.components : {};
+    const selections = {};
+    components.COMPONENT_TYPES.forEach(function (type) {
+        const selection = (cliSelections && cliSelections[type]) || recorded[type];
+        if (selection) {
+            selections[type] = {
+                include: Array.isArray(selection.include) ? selection.include : [],
+                exclude: Array.isArray(selection.exclude) ? selection.exclude : [],
+            };
+        }
+    });
+    return selections;
+}
+
+function reportComponentSelection(selectionResult) {
+    const dropped = selectionResult.droppedCommands.map(function (entry) { return entry.command; });
+    components.COMPONENT_TYPES.forEach(function (type) {
+        const skipped = selectionResult.excluded[type].filter(function (name) {
+            return type !== 'commands' || !dropped.includes(name);
+        });
+        if (skipped.length > 0) {
+            info(`Skipping ${type}: ${skipped.join(', ')}`);
+        }
+    });
+    if (dropped.length > 0) {
+        info(`Skipping commands bound to unselected agents: ${selectionResult.droppedCommands.map(function (entry) {
+            return `${entry.command} (@${entry.agent})`;
+        }).join(', ')}`);
+    }
+}
+
+// --profile wins; otherwise the profile recorded by the previous install is
+// reapplied. "--profile none" clears a recorded profile.
+function resolveProfileName(existingManifest, cliProfile) {
+    if (cliProfile) {
+        return cliProfile === 'none' ? null : cliProfile;
+    }
+    return existingManifest && existingManifest.profile ? existingManifest.profile.name : null;
+}
+
+function resolvePin(existingManifest, cliPin) {
+    if (cliPin) {
+        return cliPin === 'none' ? null : cliPin;
+    }
+    return existingManifest && existingManifest.pin ? existingManifest.pin : null;
+}
+
+// Managed files of an existing install that the source package does not ship.
+function getWorkspacePackageNames(manifest) {
+    return manifest && manifest.workspace && fileOps.isObject(manifest.workspace.packages)
+        ? Object.keys(manifest.workspace.packages)
+        : [];
+}
+
+// Project templates hold session state, so updates keep them at the project
+// root and in every recorded workspace package.
+function getProjectTemplatePaths(manifest) {
+    return getWorkspacePackageNames(manifest).reduce(function (templatePaths, name) {
+        return templatePaths.concat(PROJECT_TEMPLATE_FILES.map(function (relative) { return path.join(name, relative); }));
+    }, PROJECT_TEMPLATE_FILES.slice());
+}
+
+function getFilesMissingFromSource(scope, existingManifest, sourceManagedFiles) {
+    if (!existingManifest || !Array.isArray(existingManifest.managedFiles)) {
+        return [];
+    }
+    const sourcePaths = new Set(sourceManagedFiles.map(function (relative) { return pathsMod.toManagedPath(scope, relative); }));
+    getWorkspacePackageNames(existingManifest).forEach(function (name) {
+        sourceManagedFiles.forEach(function (relative) { sourcePaths.add(path.join(name, '.opencode', relative)); });
+    });
+    const templatePaths = getProjectTemplatePaths(existingManifest);
+    return existingManifest.managedFiles.filter(function (managedPath) {
+        return !sourcePaths.has(managedPath) && !templatePaths.includes(managedPath);
+    });
+}
+
+// Enforce the pinned range, refuse major jumps without --allow-major and
+// downgrades without --allow-downgrade. Returns false after reporting an error.
+function checkVersionPolicy(scope, existingManifest, sourceVersion, sourceManagedFiles, options) {
+    const target = versions.parseVersion(sourceVersion);
+    if (options.pin) {
+        if (!target) {
+            warning(`Cannot check the pinned range "${options.pin}": the source package has no valid version.`);
+        } else if (!versions.satisfiesRange(sourceVersion, options.pin)) {
+            error(`${scope} scope is pinned to "${options.pin}" but the source package is ${sourceVersion}.`);
+            info('Use a matching package (--from <dir|.tgz>) or change the pin with --pin <range> (--pin none clears it).');
+            return false;
+        }
+    }
+
+    const installed = existingManifest ? versions.parseVersion(existingManifest.sourceVersion) : null;
+    if (!installed || !target) {
+        return true;
+    }
+
+    const direction = versions.compareVersions(target, installed);
+    if (direction < 0) {
+        const removed = getFilesMissingFromSource(scope, existingManifest, sourceManagedFiles);
+        const log = options.allowDowngrade ? warning : error;
+        log(`${options.allowDowngrade ? 'Downgrading' : 'Refusing to downgrade'} ${scope} scope from ${existingManifest.sourceVersion} to ${sourceVersion}.`);
+        if (removed.length > 0) {
+            log(`Files not present in ${sourceVersion} that ${options.allowDowngrade ? 'will' : 'would'} be removed (backed up): ${removed.join(', ')}`);
+        }
+        if (!options.allowDowngrade) {
+            info('Rerun with --allow-downgrade to install the older package.');
+            return false;
+        }
+    } else if (target.major > installed.major && !options.allowMajor) {
+        error(`Refusing major update of ${scope} scope from ${existingManifest.sourceVersion} to ${sourceVersion}.`);
+        info('Review the release notes, then rerun with --allow-major (or pin a range with --pin).');
+        return false;
+    }
+    return true;
+}
+
+// Explicit selections override the profile per component type.
+function applyProfileSelections(activeProfile, selectionOverrides) {
+    const selections = Object.assign({}, activeProfile ? activeProfile.selections : {});
+    components.COMPONENT_TYPES.forEach(function (type) {
+        if (selectionOverrides[type]) {
+            selections[type] = selectionOverrides[type];
+        }
+    });
+    return selections;
+}
+
+// Resolve "--languages auto" from markers in the project tree; global installs
+// have no project to scan and keep every language file.
+function detectProjectLanguages(scope, paths) {
+    if (scope !== 'project') {
+        warning('--languages auto needs a project directory; keeping all language files for global scope.');
+        return null;
+    }
+    const detection = languageDetect.detectLanguages(paths.rootDir);
+    if (detection.languages.length === 0) {
+        warning('No project languages detected — keeping all language files.');
+        return detection;
+    }
+    info(`Detected languages: ${detection.languages.join(', ')}`);
+    detection.languages.forEach(function (language) {
+        info(`  ${language}: ${detection.evidence[language].join(', ')}`);
+    });
+    return detection;
+}
+
+// --workspace: detect languages at the monorepo root and per workspace
+// package. The root scope is filtered to the union of both; each package gets
+// its own filtered files (see installWorkspacePackageFiles).
+function detectWorkspacePackages(rootDir) {
+    const workspace = workspaceMod.detectWorkspace(rootDir);
+    if (!workspace) {
+        return null;
+    }
+    const rootDetection = languageDetect.detectLanguages(rootDir, { excludeDirs: workspace.packages });
+    const packages = {};
+    const evidence = {};
+    rootDetection.languages.forEach(function (language) {
+        evidence[language] = rootDetection.evidence[language].slice();
+    });
+    workspace.packages.forEach(function (relative) {
+        const detection = languageDetect.detectLanguages(path.join(rootDir, relative));
+        packages[relative] = { languages: detection.languages };
+        detection.languages.forEach(function (language) {
+            evidence[language] = (evidence[language] || []).concat(detection.evidence[language].map(function (item) {
+                return `${relative}/${item}`;
+            }));
+        });
+    });
+    return {
+        tools: workspace.tools,
+        rootLanguages: rootDetection.languages,
+        packages,
+        detection: { languages: Object.keys(evidence).sort(), evidence },
+    };
+}
+
+function reportWorkspacePackages(workspaceInfo) {
+    const names = Object.keys(workspaceInfo.packages);
+    const describe = function (languages) {
+        return languages.length > 0 ? languages.join(', ') : 'no languages detected';
+    };
+    info(`Workspace (${workspaceInfo.tools.join(', ')}): ${names.length} package(s)`);
+    info(`  (root): ${describe(workspaceInfo.rootLanguages)}`);
+    names.forEach(function (name) {
+        info(`  ${name}: ${describe(workspaceInfo.packages[name].languages)}`);
+    });
+    if (workspaceInfo.detection.languages.length === 0) {
+        warning('No workspace languages detected — keeping all language files.');
+    } else {
+        info(`Root install filtered to the root and package languages: ${workspaceInfo.detection.languages.join(', ')}`);
+    }
+    return workspaceInfo.detection;
+}
+
+function getWorkspacePackageFiles(sourceFiles, languages) {
+    return languages.length > 0 ? fileOps.getLanguageFiles(sourceFiles, languages.join(',')) : [];
+}
+
+// Each workspace package gets a .opencode/ with the instruction and skill
+// files for its own languages, plus the project templates, so agents started
+// in the package find them. Paths are relative to the project root and are
+// tracked in the root manifest.
+function installWorkspacePackageFiles(sourceDir, sourceOpencodeDir, workspaceInfo, selectedFiles, writePaths, backupSession, options) {
+    const result = {
+        managedFiles: [],
+        fileHashes: {},
+        copiedFiles: [],
+        skippedFiles: [],
+        localFiles: [],
+        conflictFiles: [],
+        templateFiles: [],
+    };
+    Object.keys(workspaceInfo.packages).forEach(function (name) {
+        const packageOpencodeDir = path.join(name, '.opencode');
+        const files = getWorkspacePackageFiles(selectedFiles, workspaceInfo.packages[name].languages);
+        const tree = fileOps.installManagedTree(sourceOpencodeDir, files, path.join(writePaths.rootDir, packageOpencodeDir), 'project', backupSession, warning, {
+            dryRun: options.dryRun,
+            force: options.force,
+            recordedHashes: options.recordedHashes,
+            transformedContents: options.transformedContents,
+            managedPrefix: packageOpencodeDir,
+        });
+        const toPackagePath = function (relative) { return path.join(packageOpencodeDir, relative); };
+        files.forEach(function (relative) {
+            const managedPath = toPackagePath(relative);
+            if (options.dryRun || fs.existsSync(path.join(writePaths.rootDir, managedPath))) {
+                result.managedFiles.push(managedPath);
+            }
+        });
+        Object.assign(result.fileHashes, tree.fileHashes);
+        result.copiedFiles = result.copiedFiles.concat(tree.copiedFiles.map(toPackagePath));
+        result.skippedFiles = result.skippedFiles.concat(tree.skippedFiles.map(toPackagePath));
+        result.localFiles = result.localFiles.concat(tree.localFiles.map(toPackagePath));
+        result.conflictFiles = result.conflictFiles.concat(tree.conflictFiles.map(toPackagePath));
+
+        const templates = installProjectTemplateFiles(sourceDir, 'project', writePaths, backupSession, {
+            dryRun: options.dryRun,
+            packageDir: name,
+        });
+        result.templateFiles = result.templateFiles.concat(templates.installedFiles);
+        PROJECT_TEMPLATE_FILES.forEach(function (relative) {
+            const templatePath = path.join(name, relative);
+            if (fs.existsSync(path.join(writePaths.rootDir, templatePath)) || templates.installedFiles.includes(templatePath)) {
+                result.managedFiles.push(templatePath);
+            }
+        });
+    });
+    return result;
+}
+
+// Overlay output is the base for agent files, so pruned permissions apply on
+// top of user fragments as well.
+function buildTransformedContents(sourceOpencodeDir, selectedFiles, overlayContents, excluded, deniedSkills) {
+    const transformed = Object.assign({}, overlayContents);
+    if (excluded.agents.length === 0 && excluded.skills.length === 0 && deniedSkills.length === 0) {
+        return transformed;
+    }
+    selectedFiles.forEach(function (relativeFile) {
+        if (path.dirname(relativeFile) !== pathsMod.AGENT_DIR || !relativeFile.endsWith('.md')) {
+            return;
+        }
+        const content = transformed[relativeFile]
+            ? transformed[relativeFile].toString('utf8')
+            : fs.readFileSync(path.join(sourceOpencodeDir, relativeFile), 'utf8');
+        const pruned = components.prunePermissionReferences(content, excluded, deniedSkills);
+        if (pruned !== content) {
+            transformed[relativeFile] = Buffer.from(pruned, 'utf8');
+        }
+    });
+    return transformed;
+}
+
+// Files recorded by the previous install that are no longer part of it, e.g.
+// after narrowing --agents/--skills/--commands or an upstream removal.
+function removeStaleManagedFiles(scope, paths, existingManifest, managedFiles, alreadyRemoved, backupSession, dryRun) {
+    if (!existingManifest || !Array.isArray(existingManifest.managedFiles)) {
+        return [];
+    }
+    const removed = [];
+    const touchedDirectories = new Set();
+    const templatePaths = getProjectTemplatePaths(existingManifest);
+    existingManifest.managedFiles.forEach(function (managedPath) {
+        if (managedFiles.includes(managedPath) || alreadyRemoved.has(managedPath) || templatePaths.includes(managedPath)) {
+            return;
+        }
+        const absolutePath = path.join(paths.rootDir, managedPath);
+        if (!isPathInside(paths.rootDir, absolutePath)) {
+            return;
+        }
+        const result = fileOps.removeManagedFile(absolutePath, managedPath, paths, backupSession, { dryRun: dryRun });
+        if (result.removed) {
+            removed.push(managedPath);
+            touchedDirectories.add(result.directory);
+        }
+    });
+    if (!dryRun) {
+        fileOps.pruneEmptyDirectories(touchedDirectories, paths.rootDir);
+    }
+    return removed;
+}
+
+// --migrate: move files from the legacy agent/ directory into agents/ within
+// the staged tree. A file that already exists in agents/ wins and the legacy
+// copy is dropped; the commit backs up every file it removes.
+function migrateLegacyAgentDir(scope, paths, writePaths, dryRun) {
+    const legacyDir = path.join(paths.opencodeDir, AGENT_DIR_LEGACY);
+    const migration = { moved: [], kept: [] };
+    fileOps.listFilesRecursive(legacyDir).forEach(function (relative) {
+        const entry = {
+            from: pathsMod.toManagedPath(scope, path.join(AGENT_DIR_LEGACY, relative)),
+            to: pathsMod.toManagedPath(scope, path.join(pathsMod.AGENT_DIR, relative)),
+        };
+        const stagedLegacyPath = path.join(writePaths.opencodeDir, AGENT_DIR_LEGACY, relative);
+        if (fs.existsSync(path.join(paths.opencodeDir, pathsMod.AGENT_DIR, relative))) {
+            migration.kept.push(entry);
+            if (!dryRun) {
+                fs.unlinkSync(stagedLegacyPath);
+            }
+            return;
+        }
+        migration.moved.push(entry);
+        if (!dryRun) {
+            const stagedTarget = path.join(writePaths.opencodeDir, pathsMod.AGENT_DIR, relative);
+            fileOps.ensureDir(path.dirname(stagedTarget));
+            fs.renameSync(stagedLegacyPath, stagedTarget);
+        }
+    });
+
+    info(`Migrating legacy '${AGENT_DIR_LEGACY}/' directory: ${migration.moved.length} file(s) moved to '${pathsMod.AGENT_DIR}/', ` +
+        `${migration.kept.length} already present there (legacy copies are backed up and removed)`);
+    return migration;
+}
+
+// Carry manifest entries (and their recorded hashes) over to the migrated paths
+// so locally edited agent files are still recognised after the move.
+function migrateManifestPaths(manifest, migration) {
+    if (!manifest) {
+        return manifest;
+    }
+    const renamed = {};
+    migration.moved.forEach(function (entry) { renamed[entry.from] = entry.to; });
+    const dropped = new Set(migration.kept.map(function (entry) { return entry.from; }));
+    const migrated = Object.assign({}, manifest);
+    if (Array.isArray(manifest.managedFiles)) {
+        migrated.managedFiles = manifest.managedFiles
+            .filter(function (managedPath) { return !dropped.has(managedPath); })
+            .map(function (managedPath) { return renamed[managedPath] || managedPath; });
+    }
+    if (fileOps.isObject(manifest.fileHashes)) {
+        migrated.fileHashes = {};
+        Object.keys(manifest.fileHashes).forEach(function (managedPath) {
+            const target = renamed[managedPath] || managedPath;
+            if (!dropped.has(managedPath) && !(target in migrated.fileHashes)) {
+                migrated.fileHashes[target] = manifest.fileHashes[managedPath];
+            }
+        });
+    }
+    return migrated;
+}
+
+// Everything an install may read or write, relative to the scope root.
+function getScopeFootprint(scope, paths, sourceManagedFiles, existingManifest, workspaceInfo) {
+    const footprint = new Set(sourceManagedFiles.map(function (relative) { return pathsMod.toManagedPath(scope, relative); }));
+    if (existingManifest && Array.isArray(existingManifest.managedFiles)) {
+        existingManifest.managedFiles.forEach(function (managedPath) { footprint.add(managedPath); });
+    }
+    if (scope === 'project') {
+        PROJECT_TEMPLATE_FILES.forEach(function (relative) { footprint.add(relative); });
+    }
+    if (workspaceInfo) {
+        Object.keys(workspaceInfo.packages).forEach(function (name) {
+            getWorkspacePackageFiles(sourceManagedFiles, workspaceInfo.packages[name].languages).forEach(function (relative) {
+                footprint.add(path.join(name, '.opencode', relative));
+            });
+            PROJECT_TEMPLATE_FILES.forEach(function (relative) { footprint.add(path.join(name, relative)); });
+        });
+    }
+    [paths.configPath, paths.versionPath, paths.manifestPath].forEach(function (absolutePath) {
+        footprint.add(path.relative(paths.rootDir, absolutePath));
+    });
+    return Array.from(footprint);
+}
+
+function runInstallScope(options) {
     const {
         sourceDir,
         sourceConfig,
         sourceOpencodeDir,
         sourceManagedFiles,
         sourceVersion,
+        sourceOrigin,
         operation,
         scope,
         projectDir,
-        languages,
+        languages: cliLanguages,
+        componentSelections,
+        profile,
+        pin: cliPin,
+        allowMajor,
+        allowDowngrade,
+        enforceDefaults,
+        workspace: cliWorkspace,
+        migrate,
+        force,
+        dryRun,
+        plans,
+        outcome,
     } = options;
 
     const paths = pathsMod.getScopePaths(scope, projectDir);
-    const existingManifest = readManifest(paths.manifestPath);
+    let existingManifest = readManifest(paths.manifestPath);
+    if (outcome) {
+        outcome.existed = Boolean(existingManifest);
+        outcome.changedFiles = 0;
+    }
+
+    let activeProfile = null;
+    const profileName = resolveProfileName(existingManifest, profile);
+    if (profileName) {
+        try {
+            activeProfile = profilesMod.resolveProfile(profileName, sourceDir, paths, warning);
+        } catch (err) {
+            error(err.message);
+            return false;
+        }
+    }
+
+    const pin = resolvePin(existingManifest, cliPin);
+    if (!checkVersionPolicy(scope, existingManifest, sourceVersion, sourceManagedFiles, { pin, allowMajor, allowDowngrade })) {
+        return false;
+    }
+
+    const selectionOverrides = resolveComponentSelections(existingManifest, componentSelections);
+    const selections = applyProfileSelections(activeProfile, selectionOverrides);
+    const recordedLanguages = existingManifest && existingManifest.languages ? existingManifest.languages.requested : null;
+    const clearLanguages = cliLanguages === 'all';
+    const languageOverride = clearLanguages ? null : (cliLanguages || recordedLanguages || null);
+    const profileLanguages = activeProfile && !clearLanguages ? activeProfile.languages : null;
+    const useWorkspace = Boolean(cliWorkspace || (existingManifest && existingManifest.workspace));
+    // Workspace mode derives the filter from the packages unless languages are given explicitly.
+    const languageRequest = languageOverride || (useWorkspace && !clearLanguages ? 'auto' : profileLanguages);
+    const selectionErrors = components.validateSelections(selections, components.getAvailableComponents(sourceManagedFiles));
+    if (selectionErrors.length > 0) {
+        selectionErrors.forEach(function (message) { error(message); });
+        return false;
+    }
 
     if (scope === 'project' && !fs.existsSync(paths.rootDir)) {
         error(`Project directory does not exist: ${paths.rootDir}`);
         return false;
     }
 
-    if (!configMutator.checkLegacyAgentDir(paths.opencodeDir, {
+    let workspaceInfo = null;
+    if (useWorkspace) {
+        if (scope !== 'project') {
+            error('--workspace applies to a project scope; run it with --project at the monorepo root.');
+            return false;
+        }
+        workspaceInfo = detectWorkspacePackages(paths.rootDir);
+        if (!workspaceInfo) {
+            error(`No workspace configuration found at ${paths.rootDir} (package.json workspaces, pnpm-workspace.yaml, nx.json, turbo.json, go.work or a Cargo [workspace]).`);
+            return false;
+        }
+    } else if (scope === 'project' && !existingManifest) {
+        const detectedWorkspace = workspaceMod.detectWorkspace(paths.rootDir);
+        if (detectedWorkspace && detectedWorkspace.packages.length > 0) {
+            info(`Detected a ${detectedWorkspace.tools.join('/')} workspace with ${detectedWorkspace.packages.length} package(s); add --workspace to derive language filters from each package.`);
+        }
+    }
+
+    const legacyAgentDir = path.join(paths.opencodeDir, AGENT_DIR_LEGACY);
+    const migrateLegacy = Boolean(migrate) && fs.existsSync(legacyAgentDir);
+    if (!migrateLegacy && !configMutator.checkLegacyAgentDir(paths.opencodeDir, {
         error: error,
         PACKAGE_NAME: PACKAGE_NAME,
         AGENT_DIR_LEGACY: AGENT_DIR_LEGACY,
@@ -436,94 +1452,334 @@ function installScope(options) {
         return false;
     }
 
-    fileOps.ensureDir(paths.opencodeDir);
+    if (dryRun) {
+        info(`Planning ${PACKAGE_NAME} ${operation || 'install'} (${scope}) at ${paths.rootDir} (dry run)`);
+    } else {
+        info(`Installing ${PACKAGE_NAME} (${scope}) at ${paths.rootDir}`);
+    }
 
-    info(`Installing ${PACKAGE_NAME} (${scope}) at ${paths.rootDir}`);
+    const backupSession = createBackupSession(paths, operation || 'install', { dryRun: dryRun });
 
-    const backupSession = createBackupSession(paths, operation || 'install');
+    // Real writes go to a staging copy of the scope and are committed at the
+    // end; dry runs read the live tree and write nothing.
+    let staging = null;
+    let treeResult;
+    try {
+        if (!dryRun) {
+            const footprint = getScopeFootprint(scope, paths, sourceManagedFiles, existingManifest, workspaceInfo);
+            if (migrateLegacy) {
+                fileOps.listFilesRecursive(legacyAgentDir).forEach(function (relative) {
+                    footprint.push(pathsMod.toManagedPath(scope, path.join(AGENT_DIR_LEGACY, relative)));
+                });
+            }
+            staging = transaction.createStaging(paths, footprint);
+        }
+        const writePaths = staging ? staging.paths : paths;
 
-    const treeResult = fileOps.installManagedTree(sourceOpencodeDir, sourceManagedFiles, paths.opencodeDir, scope, backupSession, warning);
-    success(`✓ Installed/updated ${treeResult.copiedCount} file(s); ${treeResult.skippedCount} unchanged`);
+        let migration = null;
+        if (migrateLegacy) {
+            migration = migrateLegacyAgentDir(scope, paths, writePaths, dryRun);
+            existingManifest = migrateManifestPaths(existingManifest, migration);
+        }
 
-    const templateResult = installProjectTemplateFiles(sourceDir, scope, paths, backupSession);
-    if (scope === 'project') {
-        if (templateResult.installedCount > 0) {
-            success(`✓ Installed ${templateResult.installedCount} project template file(s)`);
+        if (activeProfile) {
+            info(`Using profile "${activeProfile.name}" (${activeProfile.source})`);
         }
-        if (templateResult.skippedCount > 0) {
-            info(`Skipped ${templateResult.skippedCount} existing project template file(s)`);
+
+        let languages = languageRequest;
+        let languageDetection = null;
+        if (languages && languages.trim().toLowerCase() === 'auto') {
+            languageDetection = workspaceInfo ? reportWorkspacePackages(workspaceInfo) : detectProjectLanguages(scope, paths);
+            languages = languageDetection && languageDetection.languages.length > 0 ? languageDetection.languages.join(',') : null;
         }
-    }
 
-    if (languages) {
-        fileOps.filterLanguages(paths.opencodeDir, languages, { warning: warning, info: info, success: success });
-    }
+        const selectionResult = components.selectComponentFiles(sourceOpencodeDir, sourceManagedFiles, selections);
+        if (!components.isSelectionEmpty(selections)) {
+            reportComponentSelection(selectionResult);
+        }
 
-    let configBackedUp = false;
-    const backupConfigBeforeWrite = function () {
-        if (configBackedUp || !fs.existsSync(paths.configPath)) {
-            return;
+        // Skills named explicitly in --skills stay installed even when their language is filtered out.
+        const explicitSkills = selections.skills ? selections.skills.include : [];
+        const languageSkills = fileOps.getFilteredLanguageSkills(languages).filter(function (name) {
+            return !explicitSkills.includes(name);
+        });
+        const selectedFiles = components.withoutComponents(selectionResult.files, 'skills', languageSkills);
+        if (languageSkills.length > 0) {
+            info(`Skipping language skills outside the filter: ${languageSkills.join(', ')}`);
         }
-        if (backupSession.backupFile(paths.configPath, 'opencode.json')) {
-            configBackedUp = true;
+
+        const overlayResult = overlays.collectOverlays(paths.overridesDir, sourceOpencodeDir, selectedFiles, warning);
+        if (overlayResult.applied.length > 0 && !dryRun) {
+            info(`Applying ${overlayResult.applied.length} overlay(s) from ${paths.overridesDir}`);
         }
-    };
 
-    const configPatch = configMutator.mergeInstallerConfig(paths.configPath, sourceConfig, backupConfigBeforeWrite, warning);
-    if (configPatch.skipped) {
-        warning('Config merge skipped due to invalid existing JSON; continuing with agent files only.');
-    } else if (configPatch.createdFile) {
-        success(`✓ Created config: ${paths.configPath}`);
-    } else if (configPatch.changed) {
-        success(`✓ Updated config safely: ${paths.configPath}`);
-    } else {
-        info(`No config changes needed in ${paths.configPath}`);
-    }
+        const transformedContents = buildTransformedContents(sourceOpencodeDir, selectedFiles, overlayResult.contents, selectionResult.excluded, languageSkills);
+        treeResult = fileOps.installManagedTree(sourceOpencodeDir, selectedFiles, writePaths.opencodeDir, scope, backupSession, warning, {
+            dryRun: dryRun,
+            force: force,
+            recordedHashes: existingManifest ? existingManifest.fileHashes : null,
+            transformedContents: transformedContents,
+        });
+        if (!dryRun) {
+            success(`✓ Installed/updated ${treeResult.copiedCount} file(s); ${treeResult.skippedCount} unchanged`);
+        }
 
-    if (fs.existsSync(paths.versionPath)) {
-        backupSession.backupFile(paths.versionPath, path.relative(paths.rootDir, paths.versionPath));
-    }
-    fs.writeFileSync(paths.versionPath, `${sourceVersion || 'unknown'}\n`);
+        const templateResult = installProjectTemplateFiles(sourceDir, scope, writePaths, backupSession, { dryRun: dryRun });
+        if (scope === 'project' && !dryRun) {
+            if (templateResult.installedCount > 0) {
+                success(`✓ Installed ${templateResult.installedCount} project template file(s)`);
+            }
+            if (templateResult.skippedCount > 0) {
+                info(`Skipped ${templateResult.skippedCount} existing project template file(s)`);
+            }
+        }
 
-    const managedFiles = fileOps.buildManagedFilesFromSource(scope, sourceManagedFiles, paths);
-    if (scope === 'project') {
-        for (var i = 0; i < PROJECT_TEMPLATE_FILES.length; i++) {
-            var templateRelativePath = PROJECT_TEMPLATE_FILES[i];
-            var absoluteTemplatePath = path.join(paths.rootDir, templateRelativePath);
-            if (fs.existsSync(absoluteTemplatePath)) {
-                managedFiles.push(templateRelativePath);
+        let packageResult = null;
+        if (workspaceInfo) {
+            // Package files follow the component selection but not the root language filter.
+            packageResult = installWorkspacePackageFiles(sourceDir, sourceOpencodeDir, workspaceInfo, selectionResult.files, writePaths, backupSession, {
+                dryRun: dryRun,
+                force: force,
+                recordedHashes: existingManifest ? existingManifest.fileHashes : null,
+                transformedContents: transformedContents,
+            });
+            if (!dryRun) {
+                success(`✓ Installed/updated ${packageResult.copiedFiles.length + packageResult.templateFiles.length} workspace package file(s); ${packageResult.skippedFiles.length} unchanged`);
             }
         }
-    }
-    const manifest = {
-        schemaVersion: 1,
-        package: PACKAGE_NAME,
-        scope,
-        rootDir: paths.rootDir,
-        sourceVersion: sourceVersion || 'unknown',
-        updatedAt: new Date().toISOString(),
-        managedFiles,
-        configPatch,
-    };
+        const toManaged = function (relative) { return pathsMod.toManagedPath(scope, relative); };
+        if (!dryRun) {
+            reportPreservedFiles(
+                treeResult.localFiles.map(toManaged).concat(packageResult ? packageResult.localFiles : []),
+                treeResult.conflictFiles.map(toManaged).concat(packageResult ? packageResult.conflictFiles : [])
+            );
+        }
 
-    const effectiveConfigPatch = configMutator.mergeConfigPatches(existingManifest ? existingManifest.configPatch : null, configPatch);
+        let languageResult = { applied: [], removed: [] };
+        if (languages) {
+            languageResult = fileOps.filterLanguages(
+                writePaths.opencodeDir,
+                languages,
+                { warning: warning, info: info, success: success },
+                dryRun ? { dryRun: true, plannedFiles: getPlannedInstructionFiles(paths, selectedFiles) } : undefined
+            );
+        }
 
-    if (existingManifest && existingManifest.installedAt) {
-        manifest.installedAt = existingManifest.installedAt;
-    } else {
-        manifest.installedAt = manifest.updatedAt;
+        let configBackedUp = false;
+        const backupConfigBeforeWrite = function () {
+            if (configBackedUp || !fs.existsSync(writePaths.configPath)) {
+                return;
+            }
+            if (backupSession.backupFile(writePaths.configPath, path.relative(writePaths.rootDir, writePaths.configPath))) {
+                configBackedUp = true;
+            }
+        };
+
+        const configPatch = configMutator.mergeInstallerConfig(writePaths.configPath, sourceConfig, backupConfigBeforeWrite, warning, {
+            dryRun: dryRun,
+            enforceDefaults: enforceDefaults,
+        });
+        if (configPatch.skipped) {
+            warning(configPatch.validationErrors
+                ? 'Config merge skipped because the installer changes would not pass schema validation; continuing with agent files only.'
+                : 'Config merge skipped due to invalid existing JSON; continuing with agent files only.');
+        } else if (!dryRun) {
+            if (configPatch.createdFile) {
+                success(`✓ Created config: ${paths.configPath}`);
+            } else if (configPatch.changed) {
+                success(`✓ Updated config safely: ${paths.configPath}`);
+            } else {
+                info(`No config changes needed in ${paths.configPath}`);
+            }
+            reportConfigConflicts(configPatch.conflicts, enforceDefaults);
+        }
+
+        if (fs.existsSync(writePaths.versionPath)) {
+            backupSession.backupFile(writePaths.versionPath, path.relative(writePaths.rootDir, writePaths.versionPath));
+        }
+        if (!dryRun) {
+            fs.writeFileSync(writePaths.versionPath, `${sourceVersion || 'unknown'}\n`);
+        }
+
+        const languageRemovedPaths = new Set(languageResult.removed.map(function (file) {
+            return pathsMod.toManagedPath(scope, path.join('instructions', file));
+        }));
+        const managedFiles = dryRun
+            ? selectedFiles
+                .map(function (relative) { return pathsMod.toManagedPath(scope, relative); })
+                .filter(function (managedPath) { return !languageRemovedPaths.has(managedPath); })
+            : fileOps.buildManagedFilesFromSource(scope, selectedFiles, writePaths);
+        if (scope === 'project') {
+            for (var i = 0; i < PROJECT_TEMPLATE_FILES.length; i++) {
+                var templateRelativePath = PROJECT_TEMPLATE_FILES[i];
+                var absoluteTemplatePath = path.join(writePaths.rootDir, templateRelativePath);
+                if (fs.existsSync(absoluteTemplatePath) || templateResult.installedFiles.includes(templateRelativePath)) {
+                    managedFiles.push(templateRelativePath);
+                }
+            }
+        }
+        if (packageResult) {
+            packageResult.managedFiles.forEach(function (managedPath) { managedFiles.push(managedPath); });
+        }
+        const staleFiles = removeStaleManagedFiles(scope, writePaths, existingManifest, managedFiles, languageRemovedPaths, backupSession, dryRun);
+        if (staleFiles.length > 0 && !dryRun) {
+            info(`Removed ${staleFiles.length} managed file(s) no longer selected or packaged (backed up)`);
+        }
+
+        const installedHashes = Object.assign({}, treeResult.fileHashes, packageResult ? packageResult.fileHashes : {});
+        const fileHashes = {};
+        for (var k = 0; k < managedFiles.length; k++) {
+            if (installedHashes[managedFiles[k]]) {
+                fileHashes[managedFiles[k]] = installedHashes[managedFiles[k]];
+            }
+        }
+
+        const appliedOverlays = overlayResult.applied
+            .map(function (overlay) {
+                return { path: overlay.path, target: pathsMod.toManagedPath(scope, overlay.path), hash: overlay.hash };
+            })
+            .filter(function (overlay) { return managedFiles.includes(overlay.target); });
+
+        const manifest = {
+            schemaVersion: 1,
+            package: PACKAGE_NAME,
+            scope,
+            rootDir: paths.rootDir,
+            sourceVersion: sourceVersion || 'unknown',
+            source: sourceOrigin || { type: 'package', path: null },
+            pin,
+            updatedAt: new Date().toISOString(),
+            managedFiles,
+            fileHashes,
+            overlays: {
+                dir: paths.overridesDir,
+                applied: appliedOverlays,
+            },
+            profile: activeProfile ? { name: activeProfile.name, source: activeProfile.source } : null,
+            languages: languageRequest ? {
+                requested: languageOverride,
+                applied: languageResult.applied,
+                evidence: languageDetection ? languageDetection.evidence : null,
+            } : null,
+            components: components.isSelectionEmpty(selectionOverrides) ? null : selectionOverrides,
+            workspace: workspaceInfo ? { tools: workspaceInfo.tools, rootLanguages: workspaceInfo.rootLanguages, packages: workspaceInfo.packages } : null,
+            configPatch,
+        };
+
+        const effectiveConfigPatch = configMutator.mergeConfigPatches(existingManifest ? existingManifest.configPatch : null, configPatch);
+
+        if (existingManifest && existingManifest.installedAt) {
+            manifest.installedAt = existingManifest.installedAt;
+        } else {
+            manifest.installedAt = manifest.updatedAt;
+        }
+        manifest.configPatch = effectiveConfigPatch;
+
+        if (fs.existsSync(writePaths.manifestPath)) {
+            backupSession.backupFile(writePaths.manifestPath, path.relative(writePaths.rootDir, writePaths.manifestPath));
+        }
+
+        if (dryRun) {
+            const managedDiff = diffLists(existingManifest && existingManifest.managedFiles, managedFiles);
+            if (outcome) {
+                outcome.changedFiles = treeResult.copiedCount + templateResult.installedCount + staleFiles.length
+                    + (packageResult ? packageResult.copiedFiles.length + packageResult.templateFiles.length : 0)
+                    + languageRemovedPaths.size + (configPatch.changed || configPatch.createdFile ? 1 : 0);
+            }
+            plans.push({
+                operation: operation || 'install',
+                scope,
+                rootDir: paths.rootDir,
+                files: {
+                    copy: treeResult.copiedFiles.map(toManaged)
+                        .filter(function (managedPath) { return !languageRemovedPaths.has(managedPath); })
+                        .concat(templateResult.installedFiles)
+                        .concat(packageResult ? packageResult.copiedFiles.concat(packageResult.templateFiles) : []),
+                    unchanged: treeResult.skippedFiles.map(toManaged)
+                        .filter(function (managedPath) { return !languageRemovedPaths.has(managedPath); })
+                        .concat(packageResult ? packageResult.skippedFiles : []),
+                    remove: Array.from(languageRemovedPaths)
+                        .filter(function (managedPath) { return fs.existsSync(path.join(paths.rootDir, managedPath)); })
+                        .concat(staleFiles),
+                    backup: backupSession.getPlannedFiles(),
+                    keepLocal: treeResult.localFiles.map(toManaged).concat(packageResult ? packageResult.localFiles : []),
+                    conflict: treeResult.conflictFiles.map(toManaged).concat(packageResult ? packageResult.conflictFiles : []),
+                },
+                overlays: appliedOverlays.map(function (overlay) { return overlay.target; }),
+                languages: languageRequest ? { requested: languageRequest, applied: languageResult.applied } : null,
+                source: manifest.source,
+                workspace: manifest.workspace,
+                migration: migration,
+                config: {
+                    path: paths.configPath,
+                    action: configPatch.skipped ? 'skipped' : (configPatch.createdFile ? 'create' : (configPatch.changed ? 'update' : 'none')),
+                    addPaths: describeConfigPaths(configPatch.addedPaths),
+                    addArrayItems: describeConfigArrayItems(configPatch.addedArrayItems),
+                    enforcePaths: describeConfigPaths(configPatch.enforcedPaths),
+                    removePaths: [],
+                    removeArrayItems: [],
+                    restorePaths: [],
+                    conflicts: describeConfigConflicts(configPatch.conflicts),
+                    validationErrors: configPatch.validationErrors || [],
+                },
+                manifest: {
+                    path: paths.manifestPath,
+                    action: existingManifest ? 'update' : 'create',
+                    sourceVersion: {
+                        from: existingManifest ? existingManifest.sourceVersion || null : null,
+                        to: manifest.sourceVersion,
+                    },
+                    addedManagedFiles: managedDiff.added,
+                    removedManagedFiles: managedDiff.removed,
+                    profile: {
+                        from: existingManifest && existingManifest.profile ? existingManifest.profile.name : null,
+                        to: activeProfile ? activeProfile.name : null,
+                    },
+                    pin: {
+                        from: existingManifest && existingManifest.pin ? existingManifest.pin : null,
+                        to: pin,
+                    },
+                },
+            });
+            return true;
+        }
+
+        writeManifest(writePaths.manifestPath, manifest);
+    } catch (err) {
+        if (staging) {
+            staging.cleanup();
+        }
+        backupSession.discard();
+        error(`${scope} installation failed; no changes were applied to ${paths.rootDir}: ${err.message}`);
+        return false;
     }
-    manifest.configPatch = effectiveConfigPatch;
 
-    if (fs.existsSync(paths.manifestPath)) {
-        backupSession.backupFile(paths.manifestPath, path.relative(paths.rootDir, paths.manifestPath));
+    let journal;
+    try {
+        journal = staging.commit(backupSession, [path.relative(paths.rootDir, paths.manifestPath)]);
+    } catch (err) {
+        staging.cleanup();
+        backupSession.discard();
+        error(`${scope} installation failed while applying changes and was rolled back: ${err.message}`);
+        return false;
+    }
+    staging.cleanup();
+    // Only empty directories are left in the legacy tree once its files are committed away.
+    if (migrateLegacy && fs.existsSync(legacyAgentDir) && fileOps.listFilesRecursive(legacyAgentDir).length === 0) {
+        fs.rmSync(legacyAgentDir, { recursive: true, force: true });
+    }
+
+    if (!verifyInstallation(paths.opencodeDir, scope)) {
+        staging.rollback(journal, backupSession);
+        backupSession.discard();
+        error(`❌ ${scope} installation verification failed; changes were rolled back.`);
+        return false;
     }
-    writeManifest(paths.manifestPath, manifest);
 
     const backupResult = backupSession.finalize();
     if (backupResult.created) {
-        info(`Backup saved: ${backupResult.backupDir} (${backupResult.count} file(s))`);
-        printBackupRestoreHint(backupResult);
+        info(`Backup saved: ${backupResult.backupPath} (${backupResult.count} file(s))`);
+        printBackupRestoreHint(backupResult, paths);
         if (backupResult.prunedCount > 0) {
             info(`Pruned ${backupResult.prunedCount} old backup session(s) by retention policy.`);
         }
@@ -533,22 +1789,111 @@ function installScope(options) {
         info(`Backed up ${treeResult.backupCount} overwritten managed file(s).`);
     }
 
-    if (!verifyInstallation(paths.opencodeDir, scope)) {
-        error(`❌ ${scope} installation verification failed.`);
-        return false;
+    if (outcome) {
+        const manifestRelative = path.relative(paths.rootDir, paths.manifestPath);
+        outcome.changedFiles = journal.filter(function (entry) { return entry.path !== manifestRelative; }).length;
+    }
+
+    success(`✅ ${scope} installation completed successfully.`);
+    info(`Manifest: ${paths.manifestPath}`);
+    return true;
+}
+
+function installScope(options) {
+    return withScopeLock(options, options.operation || 'install', function () {
+        return runInstallScope(options);
+    });
+}
+
+function buildInstallOptions(parsed, source, operation, scope, projectDir, plans) {
+    return {
+        sourceDir: source.sourceDir,
+        sourceConfig: source.sourceConfig,
+        sourceOpencodeDir: source.sourceOpencodeDir,
+        sourceManagedFiles: source.sourceManagedFiles,
+        sourceVersion: source.version,
+        sourceOrigin: source.origin,
+        operation: operation,
+        scope: scope,
+        projectDir: projectDir,
+        languages: parsed.languages,
+        componentSelections: parsed.components,
+        profile: parsed.profile,
+        pin: parsed.pin,
+        allowMajor: parsed.allowMajor,
+        allowDowngrade: parsed.allowDowngrade,
+        enforceDefaults: parsed.enforceDefaults,
+        workspace: parsed.workspace,
+        migrate: parsed.migrate,
+        force: parsed.force,
+        dryRun: parsed.dryRun,
+        breakLock: parsed.breakLock,
+        plans: plans,
+    };
+}
+
+function runBatchProject(operation, projectDir, parsed, sourceConfig, plans) {
+    const result = { projectDir, result: 'failed', version: null };
+    if (operation === 'update' && !isInstalled('project', projectDir, sourceConfig)) {
+        error(`No installation found in ${projectDir}; install it first.`);
+        return result;
+    }
+    const source = loadInstallSource(operation === 'update' ? getScopeSourceRequest('project', projectDir, parsed.from) : parsed.from);
+    if (!source) {
+        return result;
+    }
+
+    const outcome = {};
+    const options = buildInstallOptions(parsed, source, operation, 'project', projectDir, plans);
+    options.outcome = outcome;
+    if (installScope(options)) {
+        result.result = !outcome.existed ? 'installed' : (outcome.changedFiles > 0 ? 'updated' : 'unchanged');
+        result.version = source.version;
     }
+    return result;
+}
 
-    success(`✅ ${scope} installation completed successfully.`);
-    info(`Manifest: ${paths.manifestPath}`);
-    return true;
+// Install or update each project directory in turn. A failed project does not
+// stop the batch; every result is returned for printBatchSummary.
+function runProjectBatch(operation, projectDirs, parsed, sourceConfig, plans) {
+    return projectDirs.map(function (projectDir, index) {
+        info(`\n[${index + 1}/${projectDirs.length}] ${operation} ${projectDir}`);
+        return runBatchProject(operation, projectDir, parsed, sourceConfig, plans);
+    });
+}
+
+// Prints one row per project and returns false if any project failed.
+function printBatchSummary(results, dryRun) {
+    // Keep stdout clean for the --json plan.
+    const log = outputOptions.json ? console.error : console.log;
+    const width = Math.max.apply(null, ['PROJECT'].concat(results.map(function (entry) { return entry.projectDir; })).map(function (text) {
+        return text.length;
+    }));
+    const lines = [`\nBatch summary${dryRun ? ' (dry run)' : ''}:`, `  ${'PROJECT'.padEnd(width)}  ${'RESULT'.padEnd(9)}  VERSION`];
+    const counts = { installed: 0, updated: 0, unchanged: 0, failed: 0 };
+    results.forEach(function (entry) {
+        counts[entry.result] += 1;
+        lines.push(`  ${entry.projectDir.padEnd(width)}  ${entry.result.padEnd(9)}  ${entry.version || '-'}`);
+    });
+    lines.push(`\n${counts.installed} installed, ${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.failed} failed`);
+    log(lines.join('\n'));
+    return counts.failed === 0;
 }
 
 function uninstallScope(options) {
+    return withScopeLock(options, 'uninstall', function () {
+        return runUninstallScope(options);
+    });
+}
+
+function runUninstallScope(options) {
     const {
         sourceConfig,
         sourceManagedFiles,
         scope,
         projectDir,
+        dryRun,
+        plans,
     } = options;
 
     const paths = pathsMod.getScopePaths(scope, projectDir);
@@ -558,8 +1903,10 @@ function uninstallScope(options) {
     let prunedDirs = 0;
     let configChanged = false;
     let removedConfigFile = false;
+    let configResult = { removedPaths: [], removedArrayItems: [] };
+    const removedPaths = [];
     const touchedDirectories = new Set();
-    const backupSession = createBackupSession(paths, 'uninstall');
+    const backupSession = createBackupSession(paths, 'uninstall', { dryRun: dryRun });
     let configBackedUp = false;
 
     if (!configMutator.checkLegacyAgentDir(paths.opencodeDir, {
@@ -575,38 +1922,54 @@ function uninstallScope(options) {
         if (configBackedUp || !fs.existsSync(paths.configPath)) {
             return;
         }
-        if (backupSession.backupFile(paths.configPath, 'opencode.json')) {
+        if (backupSession.backupFile(paths.configPath, path.relative(paths.rootDir, paths.configPath))) {
             configBackedUp = true;
         }
     };
 
+    const backupAndRemoveScopeFile = function (absolutePath) {
+        if (!fs.existsSync(absolutePath)) {
+            return false;
+        }
+        const relativePath = path.relative(paths.rootDir, absolutePath);
+        backupSession.backupFile(absolutePath, relativePath);
+        if (!dryRun) {
+            fs.unlinkSync(absolutePath);
+        }
+        removedPaths.push(relativePath);
+        return true;
+    };
+
     if (manifest && Array.isArray(manifest.managedFiles)) {
         info(`Using manifest uninstall for ${scope} scope.`);
 
         for (var i = 0; i < manifest.managedFiles.length; i++) {
             var managedPath = manifest.managedFiles[i];
             var absolutePath = path.join(paths.rootDir, managedPath);
-            var result = fileOps.removeManagedFile(absolutePath, managedPath, paths, backupSession);
+            var result = fileOps.removeManagedFile(absolutePath, managedPath, paths, backupSession, { dryRun: dryRun });
             if (result.removed) {
                 removedFiles += 1;
+                removedPaths.push(managedPath);
                 touchedDirectories.add(result.directory);
             }
         }
 
-        const revertResult = revertInstallerConfig(paths.configPath, manifest.configPatch, sourceConfig, backupConfigBeforeMutate);
-        configChanged = revertResult.changed;
-        removedConfigFile = revertResult.removedFile;
+        // Package files sit two levels below <package>/.opencode/, so queue the
+        // parents as well for pruning.
+        getWorkspacePackageNames(manifest).forEach(function (name) {
+            const packageOpencodeDir = path.join(paths.rootDir, name, '.opencode');
+            ['skills', 'instructions'].forEach(function (dir) { touchedDirectories.add(path.join(packageOpencodeDir, dir)); });
+            touchedDirectories.add(packageOpencodeDir);
+        });
 
-        if (fs.existsSync(paths.versionPath)) {
-            backupSession.backupFile(paths.versionPath, path.relative(paths.rootDir, paths.versionPath));
-        }
-        if (fileOps.removeIfExists(paths.versionPath)) {
+        configResult = revertInstallerConfig(paths.configPath, manifest.configPatch, sourceConfig, backupConfigBeforeMutate, { dryRun: dryRun });
+        configChanged = configResult.changed;
+        removedConfigFile = configResult.removedFile;
+
+        if (backupAndRemoveScopeFile(paths.versionPath)) {
             removedFiles += 1;
         }
-        if (fs.existsSync(paths.manifestPath)) {
-            backupSession.backupFile(paths.manifestPath, path.relative(paths.rootDir, paths.manifestPath));
-        }
-        if (fileOps.removeIfExists(paths.manifestPath)) {
+        if (backupAndRemoveScopeFile(paths.manifestPath)) {
             removedFiles += 1;
             touchedDirectories.add(path.dirname(paths.manifestPath));
         }
@@ -619,25 +1982,72 @@ function uninstallScope(options) {
         for (var j = 0; j < managedFiles.length; j++) {
             var managedPath2 = managedFiles[j];
             var absolutePath2 = path.join(paths.rootDir, managedPath2);
-            var result2 = fileOps.removeManagedFile(absolutePath2, managedPath2, paths, backupSession);
+            var result2 = fileOps.removeManagedFile(absolutePath2, managedPath2, paths, backupSession, { dryRun: dryRun });
             if (result2.removed) {
                 removedFiles += 1;
+                removedPaths.push(managedPath2);
                 touchedDirectories.add(result2.directory);
             }
         }
 
-        const cleanupResult = configMutator.manifestlessCleanup(paths.configPath, sourceConfig, backupConfigBeforeMutate, warning);
-        configChanged = cleanupResult.changed;
-        removedConfigFile = cleanupResult.removedFile;
+        configResult = configMutator.manifestlessCleanup(paths.configPath, sourceConfig, backupConfigBeforeMutate, warning, { dryRun: dryRun });
+        configChanged = configResult.changed;
+        removedConfigFile = configResult.removedFile;
 
-        if (fs.existsSync(paths.versionPath)) {
-            backupSession.backupFile(paths.versionPath, path.relative(paths.rootDir, paths.versionPath));
-        }
-        if (fileOps.removeIfExists(paths.versionPath)) {
+        if (backupAndRemoveScopeFile(paths.versionPath)) {
             removedFiles += 1;
         }
     }
 
+    if (dryRun) {
+        const noop = removedFiles === 0 && !configChanged && !removedConfigFile;
+        if (!noop && scope === 'project' && paths.agentsMdPath && fs.existsSync(paths.agentsMdPath)) {
+            backupSession.backupFile(paths.agentsMdPath, 'AGENTS.md');
+            removedPaths.push('AGENTS.md');
+        }
+        plans.push({
+            operation: 'uninstall',
+            scope,
+            rootDir: paths.rootDir,
+            files: {
+                copy: [],
+                unchanged: [],
+                remove: removedPaths,
+                backup: backupSession.getPlannedFiles(),
+                keepLocal: [],
+                conflict: [],
+            },
+            overlays: [],
+            config: {
+                path: paths.configPath,
+                action: removedConfigFile ? 'remove' : (configChanged ? 'update' : 'none'),
+                addPaths: [],
+                addArrayItems: [],
+                removePaths: describeConfigPaths(configResult.removedPaths),
+                enforcePaths: [],
+                removeArrayItems: describeConfigArrayItems(configResult.removedArrayItems),
+                restorePaths: describeConfigPaths(configResult.restoredPaths),
+                conflicts: [],
+                validationErrors: [],
+            },
+            manifest: {
+                path: paths.manifestPath,
+                action: manifest ? 'remove' : 'none',
+                sourceVersion: {
+                    from: manifest ? manifest.sourceVersion || null : null,
+                    to: null,
+                },
+                addedManagedFiles: [],
+                removedManagedFiles: manifest && Array.isArray(manifest.managedFiles) ? manifest.managedFiles : [],
+                profile: {
+                    from: manifest && manifest.profile ? manifest.profile.name : null,
+                    to: null,
+                },
+            },
+        });
+        return true;
+    }
+
     prunedDirs += fileOps.pruneEmptyDirectories(touchedDirectories, paths.rootDir);
 
     if (scope === 'project' && fs.existsSync(paths.opencodeDir)) {
@@ -665,8 +2075,8 @@ function uninstallScope(options) {
 
     const backupResult = backupSession.finalize();
     if (backupResult.created) {
-        info(`Backup saved: ${backupResult.backupDir} (${backupResult.count} file(s))`);
-        printBackupRestoreHint(backupResult);
+        info(`Backup saved: ${backupResult.backupPath} (${backupResult.count} file(s))`);
+        printBackupRestoreHint(backupResult, paths);
         if (backupResult.prunedCount > 0) {
             info(`Pruned ${backupResult.prunedCount} old backup session(s) by retention policy.`);
         }
@@ -686,6 +2096,150 @@ function uninstallScope(options) {
     return true;
 }
 
+function formatPlanList(label, items, marker) {
+    const lines = [`  ${label} (${items.length}):`];
+    for (var i = 0; i < items.length; i++) {
+        lines.push(`    ${marker} ${items[i]}`);
+    }
+    return lines;
+}
+
+function printPlans(plans) {
+    if (outputOptions.json) {
+        console.log(JSON.stringify({ dryRun: true, package: PACKAGE_NAME, plans }, null, 2));
+        return;
+    }
+
+    for (var i = 0; i < plans.length; i++) {
+        var plan = plans[i];
+        var lines = [`\nPlan: ${plan.operation} ${plan.scope} scope at ${plan.rootDir}`];
+        if (plan.source && plan.source.path) {
+            lines.push(`  Source: ${plan.source.type} ${plan.source.path}`);
+        }
+
+        if (plan.files.copy.length > 0) {
+            lines = lines.concat(formatPlanList('Files to copy', plan.files.copy, '+'));
+        }
+        if (plan.operation !== 'uninstall') {
+            lines.push(`  Files unchanged: ${plan.files.unchanged.length}`);
+        }
+        if (plan.files.keepLocal.length > 0) {
+            lines = lines.concat(formatPlanList('Locally modified files to keep', plan.files.keepLocal, '='));
+        }
+        if (plan.files.conflict.length > 0) {
+            lines = lines.concat(formatPlanList('Conflicts (local and package changed; local kept)', plan.files.conflict, '!'));
+        }
+        if (plan.files.remove.length > 0) {
+            lines = lines.concat(formatPlanList('Files to remove', plan.files.remove, '-'));
+        }
+        if (plan.files.backup.length > 0) {
+            lines = lines.concat(formatPlanList('Files to back up', plan.files.backup, '*'));
+        }
+        if (plan.overlays.length > 0) {
+            lines = lines.concat(formatPlanList('Overlays applied', plan.overlays, '~'));
+        }
+        if (plan.migration) {
+            lines = lines.concat(formatPlanList('Legacy agent files to migrate', plan.migration.moved.map(function (entry) {
+                return `${entry.from} → ${entry.to}`;
+            }), '>'));
+            if (plan.migration.kept.length > 0) {
+                lines = lines.concat(formatPlanList('Legacy agent files superseded by agents/ (removed)', plan.migration.kept.map(function (entry) {
+                    return entry.from;
+                }), '-'));
+            }
+        }
+
+        var configDetails = [];
+        const addedConfig = formatConfigChanges(plan.config.addPaths, plan.config.addArrayItems);
+        if (addedConfig.length > 0) {
+            configDetails.push(`add ${addedConfig.join(', ')}`);
+        }
+        if (plan.config.enforcePaths.length > 0) {
+            configDetails.push(`tighten ${plan.config.enforcePaths.join(', ')}`);
+        }
+        const removedConfig = formatConfigChanges(plan.config.removePaths, plan.config.removeArrayItems);
+        if (removedConfig.length > 0) {
+            configDetails.push(`remove ${removedConfig.join(', ')}`);
+        }
+        if (plan.config.restorePaths.length > 0) {
+            configDetails.push(`restore ${plan.config.restorePaths.join(', ')}`);
+        }
+        if (plan.config.validationErrors.length > 0) {
+            configDetails.push(`would fail schema validation at ${plan.config.validationErrors.map(function (entry) {
+                return entry.pointer || '/';
+            }).join(', ')}`);
+        }
+        if (plan.config.conflicts.length > 0 && plan.config.enforcePaths.length === 0) {
+            configDetails.push(`${plan.config.conflicts.length} value(s) weaker than package defaults (--enforce-defaults tightens them)`);
+        }
+        lines.push(`  Config (${plan.config.path}): ${plan.config.action}${configDetails.length > 0 ? ` — ${configDetails.join('; ')}` : ''}`);
+
+        var manifestDetails = [];
+        if (plan.manifest.sourceVersion.from !== plan.manifest.sourceVersion.to) {
+            manifestDetails.push(`version ${plan.manifest.sourceVersion.from || 'none'} → ${plan.manifest.sourceVersion.to || 'none'}`);
+        }
+        if (plan.manifest.profile.from !== plan.manifest.profile.to) {
+            manifestDetails.push(`profile ${plan.manifest.profile.from || 'none'} → ${plan.manifest.profile.to || 'none'}`);
+        }
+        if (plan.manifest.pin && plan.manifest.pin.from !== plan.manifest.pin.to) {
+            manifestDetails.push(`pin ${plan.manifest.pin.from || 'none'} → ${plan.manifest.pin.to || 'none'}`);
+        }
+        if (plan.manifest.addedManagedFiles.length > 0 || plan.manifest.removedManagedFiles.length > 0) {
+            manifestDetails.push(`+${plan.manifest.addedManagedFiles.length} / -${plan.manifest.removedManagedFiles.length} managed file(s)`);
+        }
+        lines.push(`  Manifest (${plan.manifest.path}): ${plan.manifest.action}${manifestDetails.length > 0 ? ` — ${manifestDetails.join('; ')}` : ''}`);
+
+        console.log(lines.join('\n'));
+    }
+
+    console.log('\nDry run: no files were written.');
+}
+
+function verifyScopes(scopes, projectDir) {
+    const reports = scopes.map(function (scope) {
+        const paths = pathsMod.getScopePaths(scope, scope === 'project' ? projectDir : null);
+        return verifyMod.verifyScope(paths, readManifest(paths.manifestPath));
+    });
+    const verified = reports.every(function (report) { return report.ok; });
+
+    if (outputOptions.json) {
+        console.log(JSON.stringify({ verified, package: PACKAGE_NAME, scopes: reports }, null, 2));
+        return verified;
+    }
+
+    for (var i = 0; i < reports.length; i++) {
+        var report = reports[i];
+        var lines = [`\nVerify: ${report.scope} scope at ${report.rootDir} — ${report.ok ? 'OK' : 'FAILED'}`];
+        lines.push(`  Managed files checked: ${report.checkedFiles}`);
+        if (report.sourceVersion || report.installedVersion) {
+            lines.push(`  Version: ${report.installedVersion || 'missing'} (manifest: ${report.sourceVersion || 'unknown'})`);
+        }
+        if (report.missing.length > 0) {
+            lines = lines.concat(formatPlanList('Missing files', report.missing, '-'));
+        }
+        if (report.modified.length > 0) {
+            lines = lines.concat(formatPlanList('Modified files', report.modified, '~'));
+        }
+        if (report.extra.length > 0) {
+            lines = lines.concat(formatPlanList('Unexpected extra files', report.extra, '+'));
+        }
+        if (report.unhashed.length > 0) {
+            lines = lines.concat(formatPlanList('Files without a recorded hash (not checked)', report.unhashed, '?'));
+        }
+        for (var j = 0; j < report.errors.length; j++) {
+            lines.push(`  ! ${report.errors[j]}`);
+        }
+        console.log(lines.join('\n'));
+    }
+
+    if (verified) {
+        success('\n✅ Verification passed.');
+    } else {
+        error('\n❌ Verification failed. Run --update --force to restore packaged files, or move customizations to overrides/.');
+    }
+    return verified;
+}
+
 function isInstalled(scope, projectDir, sourceConfig) {
     const paths = pathsMod.getScopePaths(scope, projectDir);
     const manifestExists = fs.existsSync(paths.manifestPath);
@@ -697,13 +2251,137 @@ function isInstalled(scope, projectDir, sourceConfig) {
     return !!pathsMod.resolveAgentDirectory(paths.opencodeDir) || configMutator.configLooksManaged(paths.configPath, sourceConfig, warning);
 }
 
-function showStatus(sourceConfig) {
-    const globalInstalled = isInstalled('global', undefined, sourceConfig);
-    const projectInstalled = isInstalled('project', process.cwd(), sourceConfig);
+function formatBytes(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} KiB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MiB`;
+}
+
+function getPackageVersion(sourceDir) {
+    const packagePath = path.join(sourceDir, 'package.json');
+    const packageData = fs.existsSync(packagePath) ? fileOps.readJsonFile(packagePath, 'package.json', warning) : null;
+    return packageData && packageData.version ? packageData.version : null;
+}
+
+function collectScopeStatus(scope, projectDir, sourceConfig, packageVersion) {
+    const paths = pathsMod.getScopePaths(scope, projectDir);
+    const backupRoot = getBackupRoot(paths);
+    const manifest = readManifest(paths.manifestPath);
+    const status = {
+        scope,
+        rootDir: paths.rootDir,
+        directorySource: scope === 'global' ? pathsMod.resolveGlobalConfigDir().source : null,
+        installed: isInstalled(scope, projectDir, sourceConfig),
+        manifestPath: manifest ? paths.manifestPath : null,
+        installedVersion: null,
+        packageVersion,
+        upToDate: null,
+        installedAt: null,
+        updatedAt: null,
+        source: null,
+        profile: null,
+        pin: null,
+        managedFiles: 0,
+        modifiedFiles: 0,
+        missingFiles: 0,
+        languages: null,
+        workspace: null,
+        config: null,
+        backups: {
+            dir: backupRoot,
+            sessions: listBackupSessions(paths).length,
+            bytes: backupsMod.getDirectorySize(backupRoot),
+        },
+    };
+    if (!manifest) {
+        return status;
+    }
+
+    const drift = verifyMod.verifyScope(paths, manifest);
+    const patch = configMutator.normalizeConfigPatch(manifest.configPatch);
+    Object.assign(status, {
+        installedVersion: manifest.sourceVersion || null,
+        upToDate: Boolean(packageVersion) && manifest.sourceVersion === packageVersion,
+        installedAt: manifest.installedAt || null,
+        updatedAt: manifest.updatedAt || null,
+        source: manifest.source || { type: 'package', path: null },
+        profile: manifest.profile ? manifest.profile.name : null,
+        pin: manifest.pin || null,
+        managedFiles: Array.isArray(manifest.managedFiles) ? manifest.managedFiles.length : 0,
+        modifiedFiles: drift.modified.length,
+        missingFiles: drift.missing.length,
+        languages: manifest.languages ? { requested: manifest.languages.requested, applied: manifest.languages.applied || [] } : null,
+        workspace: manifest.workspace || null,
+        config: {
+            path: paths.configPath,
+            createdFile: Boolean(patch.createdFile),
+            addedPaths: describeConfigPaths(patch.addedPaths),
+            addedArrayItems: describeConfigArrayItems(patch.addedArrayItems),
+        },
+    });
+    return status;
+}
+
+function formatScopeStatus(status) {
+    const label = status.scope === 'global' ? 'Global' : 'Project';
+    const lines = [`- ${label} (${status.rootDir}): ${status.installed ? 'installed' : 'not installed'}`];
+    if (status.directorySource) {
+        lines.push(`  Directory source: ${status.directorySource}`);
+    }
+    if (!status.manifestPath) {
+        if (status.installed) {
+            lines.push('  No install manifest found; run --update to adopt this install.');
+        }
+        return lines;
+    }
+
+    let versionNote = status.upToDate ? 'up to date' : `package is ${status.packageVersion || 'unknown'}`;
+    if (status.pin) {
+        versionNote += `, pinned to ${status.pin}`;
+    }
+    lines.push(`  Version: ${status.installedVersion || 'unknown'} (${versionNote})`);
+    lines.push(`  Installed: ${status.installedAt || 'unknown'}; updated: ${status.updatedAt || 'unknown'}`);
+    if (status.source && status.source.path) {
+        lines.push(`  Source: ${status.source.type} ${status.source.path}`);
+    }
+    if (status.profile) {
+        lines.push(`  Profile: ${status.profile}`);
+    }
+    lines.push(`  Managed files: ${status.managedFiles} (${status.modifiedFiles} locally modified, ${status.missingFiles} missing)`);
+    if (status.languages) {
+        lines.push(`  Language filter: ${status.languages.requested || (status.workspace ? 'workspace' : 'profile')} (applied: ${status.languages.applied.join(', ') || 'none'})`);
+    }
+    if (status.workspace) {
+        lines.push(`  Workspace: ${status.workspace.tools.join(', ')} with ${Object.keys(status.workspace.packages).length} package(s)`);
+    }
+
+    const configKeys = formatConfigChanges(status.config.addedPaths, status.config.addedArrayItems);
+    const configNote = status.config.createdFile ? 'created by the installer' : 'installer-added keys';
+    lines.push(`  Config (${status.config.path}, ${configNote}): ${configKeys.join('; ') || 'none'}`);
+    lines.push(`  Backups: ${status.backups.sessions} session(s), ${formatBytes(status.backups.bytes)} in ${status.backups.dir}`);
+    return lines;
+}
+
+function showStatus(sourceDir, sourceConfig, projectDir) {
+    const packageVersion = getPackageVersion(sourceDir);
+    const scopes = [
+        collectScopeStatus('global', null, sourceConfig, packageVersion),
+        collectScopeStatus('project', projectDir, sourceConfig, packageVersion),
+    ];
+
+    if (outputOptions.json) {
+        console.log(JSON.stringify({ package: PACKAGE_NAME, packageVersion, scopes }, null, 2));
+        return;
+    }
 
-    console.log('OpenCode Agents installation status:\n');
-    console.log(`- Global (~/.config/opencode): ${globalInstalled ? 'installed' : 'not installed'}`);
-    console.log(`- Project (${process.cwd()}): ${projectInstalled ? 'installed' : 'not installed'}`);
+    console.log(`OpenCode Agents installation status (package ${packageVersion || 'version unknown'}):\n`);
+    scopes.forEach(function (status) {
+        console.log(formatScopeStatus(status).join('\n'));
+    });
     console.log('\nConfig precedence reminder: project config overrides global config.');
 }
 
@@ -711,11 +2389,35 @@ function parseArgs(argv) {
     const parsed = {
         global: false,
         project: null,
+        projects: [],
+        projectsFrom: null,
+        workspace: false,
+        migrate: false,
         update: false,
         uninstall: false,
         all: false,
         languages: null,
+        components: {},
+        profile: null,
         status: false,
+        restore: false,
+        restoreId: null,
+        backups: null,
+        backupsId: null,
+        backupFormat: null,
+        keepBackups: undefined,
+        backupMaxAge: undefined,
+        verify: false,
+        from: null,
+        force: false,
+        dryRun: false,
+        breakLock: false,
+        configDir: null,
+        pin: null,
+        allowMajor: false,
+        allowDowngrade: false,
+        enforceDefaults: false,
+        json: false,
         version: false,
         help: false,
     };
@@ -731,17 +2433,35 @@ function parseArgs(argv) {
             case '-p':
             case '--project': {
                 const next = args[i + 1];
-                if (!next || next.startsWith('-')) {
-                    parsed.project = process.cwd();
-                } else {
-                    parsed.project = next;
+                let projectValue = process.cwd();
+                if (next && !next.startsWith('-')) {
+                    projectValue = next;
                     i += 1;
                 }
+                parsed.projects.push(projectValue);
+                if (parsed.project === null) {
+                    parsed.project = projectValue;
+                }
+                break;
+            }
+            case '--projects-from': {
+                const next = args[i + 1];
+                if (!next || next.startsWith('-')) {
+                    throw new Error('--projects-from requires a file listing project directories');
+                }
+                parsed.projectsFrom = next;
+                i += 1;
                 break;
             }
             case '--all':
                 parsed.all = true;
                 break;
+            case '--workspace':
+                parsed.workspace = true;
+                break;
+            case '--migrate':
+                parsed.migrate = true;
+                break;
             case '-U':
             case '--update':
                 parsed.update = true;
@@ -760,9 +2480,129 @@ function parseArgs(argv) {
                 i += 1;
                 break;
             }
+            case '--agents':
+            case '--skills':
+            case '--commands': {
+                const next = args[i + 1];
+                if (!next || next.startsWith('-')) {
+                    throw new Error(`${arg} requires a comma-separated list (prefix a name with ! to exclude it)`);
+                }
+                parsed.components[arg.slice(2)] = components.parseSelection(next);
+                i += 1;
+                break;
+            }
+            case '--profile': {
+                const next = args[i + 1];
+                if (!next || next.startsWith('-')) {
+                    throw new Error('--profile requires a profile name');
+                }
+                parsed.profile = next;
+                i += 1;
+                break;
+            }
             case '--status':
                 parsed.status = true;
                 break;
+            case '--restore': {
+                parsed.restore = true;
+                const next = args[i + 1];
+                if (next && !next.startsWith('-')) {
+                    parsed.restoreId = next;
+                    i += 1;
+                }
+                break;
+            }
+            case '--list-backups':
+                parsed.backups = 'list';
+                break;
+            case '--backups': {
+                const next = args[i + 1];
+                if (!BACKUP_ACTIONS.includes(next)) {
+                    throw new Error(`--backups requires an action: ${BACKUP_ACTIONS.join(', ')}`);
+                }
+                parsed.backups = next;
+                i += 1;
+                const id = args[i + 1];
+                if ((next === 'show' || next === 'verify') && id && !id.startsWith('-')) {
+                    parsed.backupsId = id;
+                    i += 1;
+                }
+                break;
+            }
+            case '--backup-format': {
+                const next = args[i + 1];
+                if (!backupsMod.BACKUP_FORMATS.includes(next)) {
+                    throw new Error(`--backup-format requires one of: ${backupsMod.BACKUP_FORMATS.join(', ')}`);
+                }
+                parsed.backupFormat = next;
+                i += 1;
+                break;
+            }
+            case '--keep-backups':
+            case '--backup-max-age': {
+                const next = args[i + 1];
+                const value = /^\d+$/.test(next || '') ? Number(next) : NaN;
+                if (!backupsMod.isRetentionValue(value)) {
+                    throw new Error(`${arg} requires a whole number >= 0 (0 disables the limit)`);
+                }
+                parsed[arg === '--keep-backups' ? 'keepBackups' : 'backupMaxAge'] = value;
+                i += 1;
+                break;
+            }
+            case '--verify':
+                parsed.verify = true;
+                break;
+            case '--from': {
+                const next = args[i + 1];
+                if (!next || next.startsWith('-')) {
+                    throw new Error('--from requires a package directory, a .tgz archive or "bundled"');
+                }
+                parsed.from = next;
+                i += 1;
+                break;
+            }
+            case '--config-dir': {
+                const next = args[i + 1];
+                if (!next || next.startsWith('-')) {
+                    throw new Error('--config-dir requires a directory');
+                }
+                parsed.configDir = next;
+                i += 1;
+                break;
+            }
+            case '--pin': {
+                const next = args[i + 1];
+                if (!next || next.startsWith('-')) {
+                    throw new Error('--pin requires a version range (for example 2.3.x, ~2.3.0 or ^2.0.0) or "none"');
+                }
+                if (next !== 'none' && !versions.isValidRange(next)) {
+                    throw new Error(`Invalid version range for --pin: ${next}`);
+                }
+                parsed.pin = next;
+                i += 1;
+                break;
+            }
+            case '--allow-major':
+                parsed.allowMajor = true;
+                break;
+            case '--allow-downgrade':
+                parsed.allowDowngrade = true;
+                break;
+            case '--enforce-defaults':
+                parsed.enforceDefaults = true;
+                break;
+            case '--force':
+                parsed.force = true;
+                break;
+            case '--dry-run':
+                parsed.dryRun = true;
+                break;
+            case '--break-lock':
+                parsed.breakLock = true;
+                break;
+            case '--json':
+                parsed.json = true;
+                break;
             case '-v':
             case '--version':
                 parsed.version = true;
@@ -795,10 +2635,13 @@ function getRequestedScopes(parsed, mode, sourceConfig) {
     }
 
     if (scopes.length === 0) {
-        if (mode === 'uninstall') {
+        if (mode === 'uninstall' || mode === 'restore' || mode === 'prune-backups') {
             return ['project']; // backward-compatible default
         }
-        if (mode === 'update') {
+        if (mode === 'list-backups') {
+            return ['global', 'project'];
+        }
+        if (mode === 'update' || mode === 'verify') {
             const inferred = [];
             if (isInstalled('global', undefined, sourceConfig)) {
                 inferred.push('global');
@@ -824,13 +2667,42 @@ USAGE:
 INSTALL OPTIONS:
     -g, --global                Install agents globally (available in all projects)
     -p, --project [DIR]         Install agents for project directory (defaults to current directory)
-    -l, --languages LANGS       Filter language instruction reference files (comma-separated)
+    --projects-from FILE        Install/update every project directory listed in FILE (one per line)
+    --workspace                 At a monorepo root: filter the root and each package to their detected languages
+    --config-dir DIR            Use DIR as the global scope root instead of ~/.config/opencode
+    -l, --languages LANGS       Filter language instruction reference files (comma-separated, "auto" or "all")
+    --profile NAME              Apply a named profile (backend, frontend, content, leadership, or your own)
+    --agents LIST               Install only these agents (comma-separated; !name excludes)
+    --skills LIST               Install only these skills (comma-separated; !name excludes)
+    --commands LIST             Install only these commands (comma-separated; !name excludes)
+    --force                     Overwrite locally modified managed files (backed up first)
+    --enforce-defaults          Tighten config permissions weaker than the package defaults (backed up first)
+    --migrate                   Move a legacy .opencode/agent/ directory into agents/ and continue
+    --from SOURCE               Install from a package directory or .tgz archive ("bundled" reverts)
+    --pin RANGE                 Keep the scope on a version range (2.3.x, ~2.3.0, ^2.0.0); "none" clears it
+    --allow-major               Allow an update to a new major version
+    --allow-downgrade           Allow installing an older version (removed files are listed and backed up)
 
 LIFECYCLE OPTIONS:
     -U, --update                Update existing installation(s)
     -u, --uninstall             Uninstall installation(s)
     --all                       Target both global and project scopes (for update/uninstall)
-    --status                    Show whether global/project installations are detected
+    --status                    Show versions, drift, config keys and backups for both scopes
+    --verify                    Check installed files against manifest hashes; exits 1 on drift
+    --dry-run                   Print the install/update/uninstall plan without writing any files
+    --break-lock                Remove another run's lock on the target scope before proceeding
+    --json                      Print the --dry-run plan, --verify, --status or --backups report as JSON (logs go to stderr)
+
+BACKUP OPTIONS:
+    --backups list              List backup sessions with sizes and the retention for the target scope(s)
+    --backups show [BACKUP_ID]  Show the files in a backup session (defaults to the latest session)
+    --backups prune             Remove sessions outside the retention policy (project scope unless --global/--all; honours --dry-run)
+    --backups verify [ID]       Check every file in backup-manifest.json is present and unchanged; exits 1 on failure
+    --keep-backups N            Keep the N newest sessions (0: no count limit; overrides the configured value)
+    --backup-max-age DAYS       Prune sessions older than DAYS (0: no age limit; overrides the configured value)
+    --list-backups              Same as --backups list
+    --backup-format FORMAT      Write new backup sessions as a "directory" of copies (default) or one "tar.gz" archive
+    --restore [BACKUP_ID]       Restore files from a backup session (defaults to the latest session)
 
 GENERAL:
     -v, --version               Show version information
@@ -840,16 +2712,33 @@ EXAMPLES:
     node install.js --global
     node install.js --project .
     node install.js --global --languages python,typescript
+    node install.js --project . --languages auto    # detect languages from project markers
+    node install.js --project . --profile backend
+    node install.js --project . --agents orchestrator,codebase,review --skills '!flutter,!rust'
+    node install.js --project . --from ./agents-opencode-2.0.0-rc.1.tgz
     node install.js --update                    # updates detected installs (global and/or current project)
     node install.js --update --all              # force update both scopes
+    node install.js --update --pin 2.3.x        # stay on 2.3.x releases
+    node install.js --project 'services/*'      # batch install every service directory
+    node install.js --project . --workspace     # monorepo root: per-package language filters
+    node install.js --update --projects-from projects.txt
     node install.js --uninstall                 # uninstall current project scope (default)
     node install.js --uninstall --global        # uninstall global scope
     node install.js --uninstall --all           # uninstall both scopes
     node install.js --status
+    node install.js --update --all --dry-run    # preview an update of both scopes
+    node install.js --uninstall --dry-run --json
+    node install.js --verify --all --json       # CI integrity check of both scopes
+    node install.js --backups list --global     # list global backup sessions
+    node install.js --backups prune --keep-backups 3 --dry-run
+    node install.js --backups verify --all --json
+    node install.js --update --backup-format tar.gz
+    node install.js --restore --project .       # restore latest project backup session
     npx agents-opencode --global
 
 INSTALLATION LOCATIONS:
-    Global:  ~/.config/opencode/
+    Global:  --config-dir, else $AGENTS_OPENCODE_CONFIG_DIR, else $XDG_CONFIG_HOME/opencode/,
+             else ~/.config/opencode/ (--status shows which one is in use)
     Project: <project>/.opencode/
 
 NOTES:
@@ -857,8 +2746,35 @@ NOTES:
     - Uninstall removes only installer-managed files using a manifest.
     - Project backups: <project>/.opencode/.backups/<timestamp>--<operation>--<scope>/
     - Global backups:  ~/.config/opencode/.backups/<timestamp>--<operation>--<scope>/
-    - Retention: keeps latest 10 sessions and prunes sessions older than 30 days.
-    - --languages filters instruction reference files; skill loading remains on-demand.
+    - Retention: keeps latest 10 sessions and prunes sessions older than 30 days; set "backups":
+      { "keep": N, "maxAgeDays": N } in .agents-opencode.json or use --keep-backups / --backup-max-age.
+    - Project overlays: <project>/.opencode/overrides/{agents,commands,instructions,skills}/
+    - Global overlays:  ~/.config/opencode/overrides/{agents,commands,instructions,skills}/
+      Overlay frontmatter keys patch packaged files; body sections replace matching headings or append.
+    - Managed files edited locally are kept on update and reported; --force replaces them.
+    - Install, update, uninstall and restore lock the scope via <root>/.agents-opencode.lock;
+      locks from dead processes are replaced automatically, --break-lock replaces any lock.
+    - Install/update writes are staged under .staging/ and swapped in at the end; failures roll back the scope.
+    - --restore overwrites current files with the session copies; overwritten files are backed up first.
+    - Profiles: packaged profiles.json, overridden by "agents-opencode".profiles in opencode.json
+      and by "profiles" in .agents-opencode.json. --update reapplies the recorded profile; --profile none clears it.
+      Explicit --agents/--skills/--commands/--languages override the profile's lists.
+    - --from sources are recorded in the manifest; --update pulls from the same directory or
+      archive until another --from is given (--from bundled returns to this package).
+    - --update refuses major version jumps without --allow-major and downgrades without --allow-downgrade.
+      --pin ranges are recorded in the manifest and checked on every later install or update.
+    - --workspace reads npm/yarn/pnpm workspaces, nx.json, turbo.json, go.work and Cargo [workspace];
+      the root scope gets the root and package languages combined, and each package gets its own
+      .opencode/ with the files for its languages plus the project templates. All of it is tracked
+      in the root manifest; --update re-detects packages and --uninstall removes the package files.
+    - Repeat --project, pass a glob (*, ?, **) or use --projects-from to process several projects in turn;
+      a summary table lists each result and the exit code is 1 if any project failed.
+    - Component selections are recorded in the manifest and reused by --update until changed.
+      Commands bound to an unselected agent are skipped; agent skill/task permissions are pruned to match.
+      Quote lists starting with ! so the shell does not expand them.
+    - --languages filters language instruction files and language skills; agents deny the filtered skills.
+      The filter is recorded in the manifest and reapplied by --update; --languages all clears it.
+      --languages auto scans the project for markers (package.json, go.mod, *.csproj, ...) and prints the evidence.
 
 For more information, visit: https://github.com/shahboura/agents-opencode
 `);
@@ -883,6 +2799,36 @@ function main() {
         return;
     }
 
+    if (parsed.json && !parsed.dryRun && !parsed.verify && !parsed.status && !parsed.backups) {
+        error('--json is only supported together with --dry-run, --verify, --status or --backups.');
+        process.exit(1);
+    }
+    outputOptions.json = parsed.json;
+    backupRetentionOverrides.keep = parsed.keepBackups;
+    backupRetentionOverrides.maxAgeDays = parsed.backupMaxAge;
+    backupOptions.format = parsed.backupFormat || backupOptions.format;
+    pathsMod.setGlobalConfigDir(parsed.configDir);
+
+    let projectBatch;
+    try {
+        projectBatch = projectList.resolveProjectDirs(parsed.projects, parsed.projectsFrom, process.cwd());
+    } catch (err) {
+        error(err.message);
+        process.exit(1);
+    }
+    if (projectBatch.batch && projectBatch.dirs.length === 0) {
+        error(`No project directories listed in ${parsed.projectsFrom}.`);
+        process.exit(1);
+    }
+    if (projectBatch.dirs.length > 0) {
+        parsed.project = projectBatch.dirs[0];
+    }
+    const batchMode = projectBatch.batch && (parsed.update || !(parsed.uninstall || parsed.restore || parsed.status || parsed.backups || parsed.verify));
+    if (projectBatch.batch && !batchMode) {
+        error('Multiple projects (--project lists, globs or --projects-from) are only supported for install and --update.');
+        process.exit(1);
+    }
+
     if (parsed.version) {
         showVersion(sourceDir);
         return;
@@ -903,7 +2849,59 @@ function main() {
     }
 
     if (parsed.status) {
-        showStatus(sourceConfig);
+        showStatus(sourceDir, sourceConfig, parsed.project || process.cwd());
+        return;
+    }
+
+    if (parsed.backups) {
+        // Reading backups covers both scopes by default; pruning deletes, so like
+        // --uninstall it stays on the project scope unless told otherwise.
+        const backupsMode = parsed.backups === 'prune' ? 'prune-backups' : 'list-backups';
+        if (!runBackupsAction(parsed, getRequestedScopes(parsed, backupsMode, sourceConfig))) {
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (parsed.verify) {
+        const verifyScopesRequested = getRequestedScopes(parsed, 'verify', sourceConfig);
+        if (verifyScopesRequested.length === 0) {
+            error('No installation detected to verify. Use --global or --project [DIR].');
+            process.exit(1);
+        }
+        if (!verifyScopes(verifyScopesRequested, parsed.project || process.cwd())) {
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (parsed.restore) {
+        if (parsed.update || parsed.uninstall) {
+            error('Cannot combine --restore with --update or --uninstall.');
+            process.exit(1);
+        }
+        if (parsed.dryRun) {
+            error('--dry-run is not supported with --restore; use --backups list to inspect sessions.');
+            process.exit(1);
+        }
+
+        const scopes = getRequestedScopes(parsed, 'restore', sourceConfig);
+        if (scopes.length !== 1) {
+            error('Choose one restore target: --global or --project [DIR].');
+            process.exit(1);
+        }
+
+        const restoreTarget = scopes[0];
+        const restored = restoreScope({
+            scope: restoreTarget,
+            projectDir: restoreTarget === 'project' ? (parsed.project || process.cwd()) : null,
+            backupId: parsed.restoreId,
+            breakLock: parsed.breakLock,
+        });
+        if (!restored) {
+            process.exit(1);
+        }
+        success('Restore completed!');
         return;
     }
 
@@ -912,28 +2910,45 @@ function main() {
         process.exit(1);
     }
 
+    const plans = [];
+
     if (parsed.uninstall) {
         if (parsed.languages) {
             warning('--languages is ignored during uninstall.');
         }
+        if (parsed.from) {
+            warning('--from is ignored during uninstall.');
+        }
 
         const scopes = getRequestedScopes(parsed, 'uninstall', sourceConfig);
         for (var i = 0; i < scopes.length; i++) {
             var scope = scopes[i];
             var projectDir = scope === 'project' ? (parsed.project || process.cwd()) : null;
             info(`Uninstalling ${PACKAGE_NAME} from ${scope} scope...`);
-            var ok = uninstallScope({ sourceConfig: sourceConfig, sourceManagedFiles: sourceManagedFiles, scope: scope, projectDir: projectDir });
+            var ok = uninstallScope({
+                sourceConfig: sourceConfig,
+                sourceManagedFiles: sourceManagedFiles,
+                scope: scope,
+                projectDir: projectDir,
+                dryRun: parsed.dryRun,
+                breakLock: parsed.breakLock,
+                plans: plans,
+            });
             if (!ok) {
                 process.exit(1);
             }
         }
 
+        if (parsed.dryRun) {
+            printPlans(plans);
+            return;
+        }
+
         success('Uninstallation completed!');
         return;
     }
 
     if (parsed.update) {
-        const version = checkVersion(sourceDir);
         const scopes = getRequestedScopes(parsed, 'update', sourceConfig);
 
         if (scopes.length === 0) {
@@ -942,29 +2957,39 @@ function main() {
         }
 
         info('🔄 Updating OpenCode Agents installation...');
-        if (version) {
-            info(`📦 Updating to version ${version}`);
-        }
 
+        let batchResults = null;
         for (var j = 0; j < scopes.length; j++) {
             var scope2 = scopes[j];
+            if (scope2 === 'project' && batchMode) {
+                batchResults = runProjectBatch('update', projectBatch.dirs, parsed, sourceConfig, plans);
+                continue;
+            }
             var projectDir2 = scope2 === 'project' ? (parsed.project || process.cwd()) : null;
-            var ok2 = installScope({
-                sourceDir: sourceDir,
-                sourceConfig: sourceConfig,
-                sourceOpencodeDir: sourceOpencodeDir,
-                sourceManagedFiles: sourceManagedFiles,
-                sourceVersion: version,
-                operation: 'update',
-                scope: scope2,
-                projectDir: projectDir2,
-                languages: parsed.languages,
-            });
-            if (!ok2) {
+            var updateSource = loadInstallSource(getScopeSourceRequest(scope2, projectDir2, parsed.from));
+            if (!updateSource) {
+                error(`Could not load the install source for ${scope2} scope. Pass --from <dir|.tgz> or --from ${BUNDLED_SOURCE}.`);
+                process.exit(1);
+            }
+            if (updateSource.version) {
+                info(`📦 Updating ${scope2} scope to version ${updateSource.version}`);
+            }
+            if (!installScope(buildInstallOptions(parsed, updateSource, 'update', scope2, projectDir2, plans))) {
                 process.exit(1);
             }
         }
 
+        if (parsed.dryRun) {
+            printPlans(plans);
+        }
+        if (batchResults && !printBatchSummary(batchResults, parsed.dryRun)) {
+            error('Update failed for one or more projects.');
+            process.exit(1);
+        }
+        if (parsed.dryRun) {
+            return;
+        }
+
         success('Update completed!');
         return;
     }
@@ -980,42 +3005,39 @@ function main() {
         return;
     }
 
-    const version = checkVersion(sourceDir);
+    const installSource = loadInstallSource(parsed.from);
+    if (!installSource) {
+        process.exit(1);
+    }
+    const version = installSource.version;
     info('🚀 Starting OpenCode Agents installation...');
     if (version) {
         info(`📦 Installing version ${version}`);
     }
 
-    if (parsed.global) {
-        var ok3 = installScope({
-            sourceDir: sourceDir,
-            sourceConfig: sourceConfig,
-            sourceOpencodeDir: sourceOpencodeDir,
-            sourceManagedFiles: sourceManagedFiles,
-            sourceVersion: version,
-            operation: 'install',
-            scope: 'global',
-            projectDir: null,
-            languages: parsed.languages,
-        });
-        if (!ok3) {
+    if (batchMode) {
+        const batchResults = runProjectBatch('install', projectBatch.dirs, parsed, sourceConfig, plans);
+        if (parsed.dryRun) {
+            printPlans(plans);
+        }
+        if (!printBatchSummary(batchResults, parsed.dryRun)) {
+            error('Installation failed for one or more projects.');
             process.exit(1);
         }
+        if (parsed.dryRun) {
+            return;
+        }
     } else {
-        var ok4 = installScope({
-            sourceDir: sourceDir,
-            sourceConfig: sourceConfig,
-            sourceOpencodeDir: sourceOpencodeDir,
-            sourceManagedFiles: sourceManagedFiles,
-            sourceVersion: version,
-            operation: 'install',
-            scope: 'project',
-            projectDir: parsed.project || process.cwd(),
-            languages: parsed.languages,
-        });
-        if (!ok4) {
+        var installTarget = parsed.global ? 'global' : 'project';
+        var installProjectDir = parsed.global ? null : (parsed.project || process.cwd());
+        if (!installScope(buildInstallOptions(parsed, installSource, 'install', installTarget, installProjectDir, plans))) {
             process.exit(1);
         }
+
+        if (parsed.dryRun) {
+            printPlans(plans);
+            return;
+        }
     }
 
     info('\n🎯 Next steps:');
@@ -0,0 +1,191 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, isObject, hashBuffer, listFilesRecursive } = require('./file-ops.js');
+const { readUserConfigSections } = require('./user-config.js');
+const { readTarball } = require('./tarball.js');
+
+const BACKUP_MANIFEST = 'backup-manifest.json';
+const BACKUP_FORMATS = ['directory', 'tar.gz'];
+const ARCHIVE_EXTENSION = '.tar.gz';
+const DEFAULT_RETENTION = Object.freeze({ keep: 10, maxAgeDays: 30 });
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isRetentionValue(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function readRetentionSection(section, source, logWarning) {
+  const retention = {};
+  if (!isObject(section)) return retention;
+  for (const key of ['keep', 'maxAgeDays']) {
+    if (section[key] === undefined) continue;
+    if (isRetentionValue(section[key])) {
+      retention[key] = section[key];
+    } else if (logWarning) {
+      logWarning(`Ignoring backups.${key} in ${source}; expected a whole number >= 0.`);
+    }
+  }
+  return retention;
+}
+
+// Backup retention for a scope: `keep` newest sessions and sessions younger
+// than `maxAgeDays` survive pruning; 0 turns either limit off. Each setting is
+// taken from the first of: overrides (command-line flags), .agents-opencode.json
+// "backups", the scope config's "agents-opencode".backups, the defaults.
+function resolveBackupRetention(paths, overrides, logWarning) {
+  const layers = [readRetentionSection(overrides, 'flags', logWarning)];
+  readUserConfigSections(paths, logWarning).forEach(function (section) {
+    layers.push(readRetentionSection(section.settings.backups, section.source, logWarning));
+  });
+  layers.push(DEFAULT_RETENTION);
+
+  const retention = {};
+  for (const key of ['keep', 'maxAgeDays']) {
+    retention[key] = layers.find(function (layer) { return layer[key] !== undefined; })[key];
+  }
+  return retention;
+}
+
+// Bytes of every file below dirPath; 0 when it does not exist. --status and
+// --backups list both report backup usage through this.
+function getDirectorySize(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    return 0;
+  }
+  return listFilesRecursive(dirPath).reduce(function (total, relative) {
+    return total + fs.statSync(path.join(dirPath, relative)).size;
+  }, 0);
+}
+
+// Archive contents by path, read once per run.
+const archiveCache = new Map();
+
+function readArchive(archivePath) {
+  if (!archiveCache.has(archivePath)) {
+    archiveCache.set(archivePath, readTarball(archivePath));
+  }
+  return archiveCache.get(archivePath);
+}
+
+function readSessionManifest(format, backupPath) {
+  if (format === 'directory') {
+    const manifestPath = path.join(backupPath, BACKUP_MANIFEST);
+    return fs.existsSync(manifestPath) ? readJsonFile(manifestPath) : null;
+  }
+  try {
+    const content = readArchive(backupPath).get(BACKUP_MANIFEST);
+    return content ? JSON.parse(content.toString('utf8')) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Every session under backupRoot, newest first: session directories and
+// <backupId>.tar.gz archives (--backup-format tar.gz) with the manifest
+// embedded. Sessions without a readable backup manifest (an interrupted run, a
+// damaged archive) are included with manifest: null and the mtime as createdAt.
+function listBackupSessions(backupRoot) {
+  if (!fs.existsSync(backupRoot)) {
+    return [];
+  }
+  return fs.readdirSync(backupRoot, { withFileTypes: true })
+    .filter(function (entry) {
+      return entry.isDirectory() || (entry.isFile() && entry.name.endsWith(ARCHIVE_EXTENSION));
+    })
+    .map(function (entry) {
+      const format = entry.isDirectory() ? 'directory' : 'tar.gz';
+      const backupPath = path.join(backupRoot, entry.name);
+      const manifest = readSessionManifest(format, backupPath);
+      const valid = isObject(manifest) && Array.isArray(manifest.files);
+      return {
+        backupId: format === 'directory' ? entry.name : entry.name.slice(0, -ARCHIVE_EXTENSION.length),
+        format,
+        backupPath,
+        manifest: valid ? manifest : null,
+        createdAt: valid && manifest.createdAt ? manifest.createdAt : fs.statSync(backupPath).mtime.toISOString(),
+      };
+    })
+    .sort(function (a, b) { return String(b.createdAt).localeCompare(String(a.createdAt)); });
+}
+
+// Bytes a session takes on disk.
+function getSessionSize(session) {
+  return session.format === 'directory' ? getDirectorySize(session.backupPath) : fs.statSync(session.backupPath).size;
+}
+
+// The backed-up contents of relativePath (as recorded in the manifest), or
+// null when the session does not hold it.
+function readSessionFile(session, relativePath) {
+  if (session.format === 'directory') {
+    const absolutePath = path.join(session.backupPath, relativePath);
+    return fs.existsSync(absolutePath) ? fs.readFileSync(absolutePath) : null;
+  }
+  return readArchive(session.backupPath).get(relativePath.split(path.sep).join('/')) || null;
+}
+
+function removeSession(session) {
+  fs.rmSync(session.backupPath, { recursive: true, force: true });
+  archiveCache.delete(session.backupPath);
+}
+
+// The sessions retention would remove: everything past the `keep` newest and
+// anything older than `maxAgeDays`.
+function selectSessionsToPrune(sessions, retention, now) {
+  const cutoff = (now === undefined ? Date.now() : now) - retention.maxAgeDays * DAY_MS;
+  return sessions.filter(function (session, index) {
+    if (retention.keep > 0 && index >= retention.keep) return true;
+    return retention.maxAgeDays > 0 && Date.parse(session.createdAt) < cutoff;
+  });
+}
+
+// Check a session against its backup manifest. Files recorded with a sha256
+// must still match it; older sessions only recorded paths, so those files are
+// checked for presence and counted as unhashed.
+function verifyBackupSession(session) {
+  const report = { backupId: session.backupId, ok: true, files: 0, missing: [], modified: [], unhashed: 0, error: null };
+  if (!session.manifest) {
+    report.ok = false;
+    report.error = `${BACKUP_MANIFEST} is missing or unreadable`;
+    return report;
+  }
+
+  for (const entry of session.manifest.files) {
+    const relativePath = entry && entry.path;
+    const absolutePath = relativePath ? path.resolve(session.backupPath, relativePath) : null;
+    if (!absolutePath || path.relative(session.backupPath, absolutePath).startsWith('..')) {
+      report.ok = false;
+      report.error = `lists an invalid path: ${relativePath}`;
+      continue;
+    }
+    report.files += 1;
+    const content = readSessionFile(session, relativePath);
+    if (content === null) {
+      report.missing.push(relativePath);
+    } else if (!entry.sha256) {
+      report.unhashed += 1;
+    } else if (hashBuffer(content) !== entry.sha256) {
+      report.modified.push(relativePath);
+    }
+  }
+
+  report.ok = report.ok && report.missing.length === 0 && report.modified.length === 0;
+  return report;
+}
+
+module.exports = {
+  BACKUP_MANIFEST,
+  BACKUP_FORMATS,
+  ARCHIVE_EXTENSION,
+  DEFAULT_RETENTION,
+  isRetentionValue,
+  resolveBackupRetention,
+  getDirectorySize,
+  listBackupSessions,
+  getSessionSize,
+  readSessionFile,
+  removeSession,
+  selectSessionsToPrune,
+  verifyBackupSession,
+};
@@ -0,0 +1,184 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { unquote, findEntry, splitFrontmatter, parseFrontmatter, serializeFrontmatter } = require('./frontmatter.js');
+
+const COMPONENT_TYPES = ['agents', 'skills', 'commands'];
+const COMMANDS_INDEX = 'README.md';
+
+// "a,b" includes only a and b; "!a" excludes a. Both forms can be mixed.
+function parseSelection(value) {
+  const selection = { include: [], exclude: [] };
+  const entries = String(value || '').split(',').map(function (entry) { return entry.trim(); }).filter(Boolean);
+  for (const entry of entries) {
+    if (entry.startsWith('!')) {
+      selection.exclude.push(entry.slice(1).trim());
+    } else {
+      selection.include.push(entry);
+    }
+  }
+  return selection;
+}
+
+function getComponentName(type, relativeFile) {
+  const parts = relativeFile.split(path.sep);
+  if (parts[0] !== type || parts.length < 2) {
+    return null;
+  }
+  if (type === 'skills') {
+    return parts.length > 2 ? parts[1] : null;
+  }
+  if (parts.length !== 2 || !parts[1].endsWith('.md') || (type === 'commands' && parts[1] === COMMANDS_INDEX)) {
+    return null;
+  }
+  return parts[1].slice(0, -'.md'.length);
+}
+
+function getAvailableComponents(sourceFiles) {
+  const available = {};
+  for (const type of COMPONENT_TYPES) {
+    available[type] = new Set();
+  }
+  for (const relativeFile of sourceFiles) {
+    for (const type of COMPONENT_TYPES) {
+      const name = getComponentName(type, relativeFile);
+      if (name) {
+        available[type].add(name);
+      }
+    }
+  }
+  return available;
+}
+
+function isSelectionEmpty(selections) {
+  if (!selections) {
+    return true;
+  }
+  return COMPONENT_TYPES.every(function (type) {
+    const selection = selections[type];
+    return !selection || (selection.include.length === 0 && selection.exclude.length === 0);
+  });
+}
+
+function validateSelections(selections, available) {
+  const errors = [];
+  for (const type of COMPONENT_TYPES) {
+    const selection = selections && selections[type];
+    if (!selection) continue;
+    const unknown = selection.include.concat(selection.exclude).filter(function (name) { return !available[type].has(name); });
+    if (unknown.length > 0) {
+      errors.push(`Unknown ${type}: ${unknown.join(', ')}. Available: ${Array.from(available[type]).sort().join(', ')}`);
+    }
+  }
+  return errors;
+}
+
+function readCommandAgent(sourceOpencodeDir, relativeFile) {
+  const content = fs.readFileSync(path.join(sourceOpencodeDir, relativeFile), 'utf8');
+  const { frontmatter } = splitFrontmatter(content);
+  if (frontmatter === null) {
+    return null;
+  }
+  const entry = findEntry(parseFrontmatter(frontmatter), ['agent']);
+  return entry && entry.value ? unquote(entry.value) : null;
+}
+
+// Narrow the packaged file list to the selected agents, skills and commands.
+// Commands bound to an agent that is not installed are dropped as well.
+function selectComponentFiles(sourceOpencodeDir, sourceFiles, selections) {
+  const available = getAvailableComponents(sourceFiles);
+  const selected = {};
+  const excluded = {};
+
+  for (const type of COMPONENT_TYPES) {
+    const selection = (selections && selections[type]) || { include: [], exclude: [] };
+    const names = selection.include.length > 0 ? new Set(selection.include) : new Set(available[type]);
+    selection.exclude.forEach(function (name) { names.delete(name); });
+    selected[type] = names;
+    excluded[type] = Array.from(available[type]).filter(function (name) { return !names.has(name); }).sort();
+  }
+
+  const droppedCommands = [];
+  for (const commandName of Array.from(selected.commands)) {
+    const agent = readCommandAgent(sourceOpencodeDir, path.join('commands', `${commandName}.md`));
+    if (agent && available.agents.has(agent) && !selected.agents.has(agent)) {
+      selected.commands.delete(commandName);
+      excluded.commands.push(commandName);
+      droppedCommands.push({ command: commandName, agent });
+    }
+  }
+  excluded.commands.sort();
+
+  const files = sourceFiles.filter(function (relativeFile) {
+    for (const type of COMPONENT_TYPES) {
+      const name = getComponentName(type, relativeFile);
+      if (name) {
+        return selected[type].has(name);
+      }
+    }
+    return true;
+  });
+
+  return { files, excluded, droppedCommands };
+}
+
+function withoutComponents(files, type, names) {
+  const excluded = new Set(names);
+  return files.filter(function (relativeFile) {
+    return !excluded.has(getComponentName(type, relativeFile));
+  });
+}
+
+// Remove permission.skill / permission.task entries naming packaged skills or
+// agents that were not installed, and set permission.skill entries listed in
+// deniedSkills to "deny". Wildcards and built-in agents are untouched.
+function prunePermissionReferences(content, excluded, deniedSkills) {
+  const { frontmatter, body } = splitFrontmatter(content);
+  if (frontmatter === null) {
+    return content;
+  }
+
+  const root = parseFrontmatter(frontmatter);
+  const targets = [
+    { entry: findEntry(root, ['permission', 'skill']), names: new Set(excluded.skills || []) },
+    { entry: findEntry(root, ['permission', 'task']), names: new Set(excluded.agents || []) },
+  ];
+
+  let changed = false;
+  for (const target of targets) {
+    if (!target.entry || target.names.size === 0) continue;
+    const kept = target.entry.children.filter(function (child) { return !target.names.has(child.key); });
+    if (kept.length !== target.entry.children.length) {
+      target.entry.children = kept;
+      changed = true;
+    }
+  }
+
+  const skillEntry = targets[0].entry;
+  const denied = new Set(deniedSkills || []);
+  if (skillEntry && denied.size > 0) {
+    for (const child of skillEntry.children) {
+      if (denied.has(child.key) && unquote(child.value) !== 'deny') {
+        child.value = '"deny"';
+        changed = true;
+      }
+    }
+  }
+
+  if (!changed) {
+    return content;
+  }
+  return `---\n${serializeFrontmatter(root)}\n---\n${body}`;
+}
+
+module.exports = {
+  COMPONENT_TYPES,
+  parseSelection,
+  getAvailableComponents,
+  isSelectionEmpty,
+  validateSelections,
+  selectComponentFiles,
+  withoutComponents,
+  prunePermissionReferences,
+};
@@ -3,121 +3,451 @@
 const fs = require('fs');
 const path = require('path');
 const { readJsonFile, writeJsonFile, isObject } = require('./file-ops.js');
+const jsonc = require('./jsonc.js');
+const jsonSchema = require('./json-schema.js');
+const CONFIG_SCHEMA = require('./opencode-config.schema.json');
 
-function mergeInstallerConfig(targetConfigPath, sourceConfig, onBeforeWrite, logWarning) {
+// How each top-level key of the package opencode.json is merged into a user
+// config. Keys not listed here are never touched.
+//   add-missing  set the key only when the user config does not have it
+//   union-array  append the package items the user array does not contain
+//   deep-merge   add the nested keys the user object is missing, recursively;
+//                values the user already set are kept as they are
+//   never-touch  leave the key alone
+const CONFIG_MERGE_SPEC = Object.freeze({
+  $schema: 'add-missing',
+  instructions: 'union-array',
+  plugin: 'union-array',
+  permission: 'deep-merge',
+  agent: 'deep-merge',
+  command: 'deep-merge',
+  mcp: 'deep-merge',
+  provider: 'deep-merge',
+});
+
+// Validate a parsed config against the vendored opencode config schema.
+// Returns [{ pointer, message }]; empty when the config is valid.
+function validateConfig(config) {
+  return jsonSchema.validate(CONFIG_SCHEMA, config);
+}
+
+function getMergeStrategy(key) {
+  return Object.prototype.hasOwnProperty.call(CONFIG_MERGE_SPEC, key) ? CONFIG_MERGE_SPEC[key] : 'never-touch';
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function getValueAt(value, segments) {
+  let current = value;
+  for (const segment of segments) {
+    if (!isObject(current) || !(segment in current)) return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+function formatConfigPath(segments) {
+  return segments.join('.');
+}
+
+// Permission values from least to most restrictive.
+const PERMISSION_RANK = Object.freeze({ allow: 0, ask: 1, deny: 2 });
+
+// Rank of a permission value; for a pattern map, the rank of its strictest entry.
+function permissionRank(value) {
+  if (isObject(value)) {
+    const ranks = Object.keys(value).map(function (key) { return permissionRank(value[key]); })
+      .filter(function (rank) { return rank !== null; });
+    return ranks.length > 0 ? Math.max.apply(null, ranks) : null;
+  }
+  return typeof value === 'string' && Object.prototype.hasOwnProperty.call(PERMISSION_RANK, value) ? PERMISSION_RANK[value] : null;
+}
+
+// List the permission settings in config that are weaker than the package
+// defaults, as [{ path, value, default }]. A pattern map set where the package
+// has a single value is checked pattern by pattern.
+function findConfigConflicts(config, sourceConfig) {
+  const conflicts = [];
+  const visit = function (segments, userValue, defaultValue) {
+    if (isObject(userValue) && isObject(defaultValue)) {
+      for (const key of Object.keys(defaultValue)) {
+        if (key in userValue) {
+          visit(segments.concat(key), userValue[key], defaultValue[key]);
+        }
+      }
+      return;
+    }
+    const defaultRank = permissionRank(defaultValue);
+    if (defaultRank === null) return;
+    if (isObject(userValue)) {
+      for (const key of Object.keys(userValue)) {
+        visit(segments.concat(key), userValue[key], defaultValue);
+      }
+      return;
+    }
+    const userRank = permissionRank(userValue);
+    if (userRank !== null && userRank < defaultRank) {
+      conflicts.push({ path: segments, value: userValue, default: defaultValue });
+    }
+  };
+
+  if (isObject(config) && isObject(config.permission) && isObject(sourceConfig) && isObject(sourceConfig.permission)) {
+    visit(['permission'], config.permission, sourceConfig.permission);
+  }
+  return conflicts;
+}
+
+function addArrayItem(entries, segments, item) {
+  let entry = entries.find(function (candidate) { return sameValue(candidate.path, segments); });
+  if (!entry) {
+    entry = { path: segments, items: [] };
+    entries.push(entry);
+  }
+  if (!entry.items.some(function (existing) { return sameValue(existing, item); })) {
+    entry.items.push(item);
+  }
+}
+
+// Merge the package config into targetConfigPath following CONFIG_MERGE_SPEC.
+// The returned patch records every added path (with the value written) and
+// array item so uninstall can take exactly those back out. patch.conflicts
+// lists user permissions weaker than the package defaults; with
+// options.enforceDefaults they are tightened and recorded in enforcedPaths.
+function mergeInstallerConfig(targetConfigPath, sourceConfig, onBeforeWrite, logWarning, options) {
+  const dryRun = Boolean(options && options.dryRun);
+  const enforceDefaults = Boolean(options && options.enforceDefaults);
   const patch = {
     createdFile: false,
-    addedPermissionKeys: [],
-    addedPluginEntries: [],
-    createdSchema: false,
+    addedPaths: [],
+    addedArrayItems: [],
+    enforcedPaths: [],
+    conflicts: [],
     skipped: false,
     changed: false,
   };
 
-  const sourceConfigForInstall = Object.assign({}, (sourceConfig || {}));
-  delete sourceConfigForInstall.instructions;
+  const sourceConfigForInstall = {};
+  for (const key of Object.keys(sourceConfig || {})) {
+    if (getMergeStrategy(key) !== 'never-touch') {
+      sourceConfigForInstall[key] = sourceConfig[key];
+    }
+  }
 
   if (!fs.existsSync(targetConfigPath)) {
-    writeJsonFile(targetConfigPath, sourceConfigForInstall);
+    if (!dryRun) {
+      writeJsonFile(targetConfigPath, sourceConfigForInstall);
+    }
     patch.createdFile = true;
     patch.changed = true;
-    if (isObject(sourceConfigForInstall.permission)) {
-      patch.addedPermissionKeys = Object.keys(sourceConfigForInstall.permission);
-    }
-    if (Array.isArray(sourceConfigForInstall.plugin)) {
-      patch.addedPluginEntries = sourceConfigForInstall.plugin.slice();
+    for (const key of Object.keys(sourceConfigForInstall)) {
+      if (getMergeStrategy(key) === 'union-array') {
+        sourceConfigForInstall[key].forEach(function (item) { addArrayItem(patch.addedArrayItems, [key], item); });
+      } else {
+        patch.addedPaths.push({ path: [key], value: sourceConfigForInstall[key] });
+      }
     }
-    patch.createdSchema = !!sourceConfigForInstall.$schema;
     return patch;
   }
 
-  const existing = readJsonFile(targetConfigPath, `existing config at ${targetConfigPath}`, logWarning);
+  // Existing configs may be JSONC: edits are spliced into the text so comments,
+  // key order and indentation are kept.
+  let text = fs.readFileSync(targetConfigPath, 'utf8');
+  const existing = jsonc.readJsoncFile(targetConfigPath, `existing config at ${targetConfigPath}`, logWarning);
   if (!existing || !isObject(existing)) {
     if (logWarning) {
-      logWarning(`Skipping config merge for ${targetConfigPath} because existing config is invalid JSON.`);
+      logWarning(`Skipping config merge for ${targetConfigPath} because existing config could not be parsed.`);
     }
     patch.skipped = true;
     return patch;
   }
 
-  if (isObject(sourceConfigForInstall.permission)) {
-    if (existing.permission === undefined) {
-      existing.permission = {};
+  const addPath = function (segments, value) {
+    // $schema conventionally comes first.
+    text = jsonc.setProperty(text, segments, value, { first: segments.length === 1 && segments[0] === '$schema' });
+    patch.addedPaths.push({ path: segments, value });
+    patch.changed = true;
+  };
+
+  const mergeObject = function (segments, sourceValue, targetValue) {
+    for (const key of Object.keys(sourceValue)) {
+      const childPath = segments.concat(key);
+      if (!(key in targetValue)) {
+        addPath(childPath, sourceValue[key]);
+      } else if (isObject(sourceValue[key]) && isObject(targetValue[key])) {
+        mergeObject(childPath, sourceValue[key], targetValue[key]);
+      }
     }
+  };
+
+  for (const key of Object.keys(sourceConfigForInstall)) {
+    const strategy = getMergeStrategy(key);
+    const value = sourceConfigForInstall[key];
 
-    if (!isObject(existing.permission)) {
-      if (logWarning) {
-        logWarning(`Skipping permission merge for ${targetConfigPath}; existing permission is not an object.`);
+    if (!(key in existing) && strategy !== 'union-array') {
+      addPath([key], value);
+    } else if (strategy === 'deep-merge') {
+      if (!isObject(existing[key])) {
+        if (logWarning) {
+          logWarning(`Skipping ${key} merge for ${targetConfigPath}; existing ${key} is not an object.`);
+        }
+        continue;
+      }
+      mergeObject([key], value, existing[key]);
+    } else if (strategy === 'union-array') {
+      if (existing[key] !== undefined && !Array.isArray(existing[key])) {
+        if (logWarning) {
+          logWarning(`Skipping ${key} merge for ${targetConfigPath}; existing ${key} is not an array.`);
+        }
+        continue;
       }
-    } else {
-      for (const key of Object.keys(sourceConfigForInstall.permission)) {
-        if (!(key in existing.permission)) {
-          existing.permission[key] = sourceConfigForInstall.permission[key];
-          patch.addedPermissionKeys.push(key);
+      const items = Array.isArray(existing[key]) ? existing[key] : [];
+      for (const item of value) {
+        if (!items.some(function (existingItem) { return sameValue(existingItem, item); })) {
+          text = jsonc.appendArrayItem(text, [key], item);
+          addArrayItem(patch.addedArrayItems, [key], item);
           patch.changed = true;
         }
       }
     }
   }
 
-  if (Array.isArray(sourceConfigForInstall.plugin)) {
-    if (!Array.isArray(existing.plugin)) {
-      existing.plugin = [];
+  patch.conflicts = findConfigConflicts(existing, sourceConfigForInstall);
+  if (enforceDefaults) {
+    for (const conflict of patch.conflicts) {
+      text = jsonc.setProperty(text, conflict.path, conflict.default);
+      patch.enforcedPaths.push({ path: conflict.path, value: conflict.default, previous: conflict.value });
+      patch.changed = true;
     }
-    for (const entry of sourceConfigForInstall.plugin) {
-      if (!existing.plugin.includes(entry)) {
-        existing.plugin.push(entry);
-        patch.addedPluginEntries.push(entry);
-        patch.changed = true;
-      }
+  }
+
+  // Never write values opencode would reject. Only the paths written here can
+  // block the merge: an error at or below one of them, or one the merge
+  // introduced. Problems already in the user's keys are reported and left alone.
+  let validationErrors = [];
+  if (patch.changed) {
+    const writtenPointers = patch.addedPaths.concat(patch.addedArrayItems, patch.enforcedPaths).map(function (entry) {
+      return jsonSchema.toPointer(entry.path);
+    });
+    const existingErrors = validateConfig(existing);
+    const isExisting = function (entry) {
+      return existingErrors.some(function (other) { return other.pointer === entry.pointer && other.message === entry.message; });
+    };
+    const isWritten = function (entry) {
+      return writtenPointers.some(function (pointer) { return entry.pointer === pointer || entry.pointer.startsWith(`${pointer}/`); });
+    };
+    validationErrors = validateConfig(jsonc.parse(text)).filter(function (entry) {
+      return isWritten(entry) || !isExisting(entry);
+    });
+    const userErrors = existingErrors.filter(function (entry) { return !isWritten(entry); });
+    if (userErrors.length > 0 && validationErrors.length === 0 && logWarning) {
+      logWarning(`${targetConfigPath} has schema errors in keys the installer does not write (left as they are):`);
+      jsonSchema.formatErrors(userErrors).forEach(function (line) { logWarning(`  ${line}`); });
+    }
+  }
+  if (validationErrors.length > 0) {
+    if (logWarning) {
+      logWarning(`Not writing ${targetConfigPath}: the installer's changes would fail schema validation:`);
+      jsonSchema.formatErrors(validationErrors).forEach(function (line) { logWarning(`  ${line}`); });
     }
+    return {
+      createdFile: false,
+      addedPaths: [],
+      addedArrayItems: [],
+      enforcedPaths: [],
+      conflicts: patch.conflicts,
+      validationErrors,
+      skipped: true,
+      changed: false,
+    };
   }
 
   if (patch.changed) {
     if (typeof onBeforeWrite === 'function') {
       onBeforeWrite();
     }
-    writeJsonFile(targetConfigPath, existing);
+    if (!dryRun) {
+      fs.writeFileSync(targetConfigPath, text);
+    }
   }
 
   return patch;
 }
 
-function mergeConfigPatches(existingPatch, currentPatch) {
-  const base = {
-    createdFile: false,
-    addedPermissionKeys: [],
-    createdSchema: false,
-    skipped: false,
-    changed: false,
+// Bring a manifest configPatch to the addedPaths/addedArrayItems form. Manifests
+// written before the merge spec recorded permission keys, plugin entries and
+// $schema in fields of their own, without the values written.
+function normalizeConfigPatch(configPatch) {
+  const patch = isObject(configPatch) ? configPatch : {};
+  const addedPaths = Array.isArray(patch.addedPaths) ? patch.addedPaths.slice() : [];
+  const addedArrayItems = [];
+  if (Array.isArray(patch.addedArrayItems)) {
+    patch.addedArrayItems.forEach(function (entry) {
+      entry.items.forEach(function (item) { addArrayItem(addedArrayItems, entry.path, item); });
+    });
+  }
+
+  if (Array.isArray(patch.addedPermissionKeys)) {
+    patch.addedPermissionKeys.forEach(function (key) { addedPaths.push({ path: ['permission', key] }); });
+  }
+  if (Array.isArray(patch.addedPluginEntries)) {
+    patch.addedPluginEntries.forEach(function (entry) { addArrayItem(addedArrayItems, ['plugin'], entry); });
+  }
+  if (patch.createdSchema || patch.addedSchema) {
+    addedPaths.push({ path: ['$schema'] });
+  }
+
+  return {
+    createdFile: Boolean(patch.createdFile),
+    addedPaths,
+    addedArrayItems,
+    enforcedPaths: Array.isArray(patch.enforcedPaths) ? patch.enforcedPaths.slice() : [],
+    skipped: Boolean(patch.skipped),
+    changed: Boolean(patch.changed),
   };
+}
 
-  const prior = isObject(existingPatch) ? existingPatch : {};
-  const next = isObject(currentPatch) ? currentPatch : {};
+function mergeConfigPatches(existingPatch, currentPatch) {
+  const prior = normalizeConfigPatch(existingPatch);
+  const next = normalizeConfigPatch(currentPatch);
 
-  const permissionKeys = new Set([
-    ...(Array.isArray(prior.addedPermissionKeys) ? prior.addedPermissionKeys : []),
-    ...(Array.isArray(next.addedPermissionKeys) ? next.addedPermissionKeys : []),
-  ]);
+  // Paths added by an earlier install are already present, so a later merge
+  // does not report them again; keep them so uninstall can still remove them.
+  const addedPaths = prior.addedPaths.slice();
+  next.addedPaths.forEach(function (entry) {
+    if (!addedPaths.some(function (existing) { return sameValue(existing.path, entry.path); })) {
+      addedPaths.push(entry);
+    }
+  });
+  const addedArrayItems = prior.addedArrayItems;
+  next.addedArrayItems.forEach(function (entry) {
+    entry.items.forEach(function (item) { addArrayItem(addedArrayItems, entry.path, item); });
+  });
+  // The first enforcement holds the value the user had before any of them.
+  const enforcedPaths = prior.enforcedPaths.slice();
+  next.enforcedPaths.forEach(function (entry) {
+    if (!enforcedPaths.some(function (existing) { return sameValue(existing.path, entry.path); })) {
+      enforcedPaths.push(entry);
+    }
+  });
 
   return {
-    ...base,
-    ...prior,
-    ...next,
-    createdFile: Boolean(prior.createdFile || next.createdFile),
-    addedPermissionKeys: [...permissionKeys],
-    createdSchema: Boolean(prior.createdSchema || next.createdSchema || prior.addedSchema || next.addedSchema),
-    skipped: Boolean(prior.skipped || next.skipped),
-    changed: Boolean(prior.changed || next.changed),
+    createdFile: prior.createdFile || next.createdFile,
+    addedPaths,
+    addedArrayItems,
+    enforcedPaths,
+    // Whether the latest run could merge; an earlier skip says nothing about now.
+    skipped: next.skipped,
+    changed: prior.changed || next.changed,
   };
 }
 
+// True when currentValue holds every package default in sourceValue unchanged,
+// possibly next to keys the user added.
+function containsDefaults(currentValue, sourceValue) {
+  if (!isObject(currentValue) || !isObject(sourceValue)) {
+    return sameValue(currentValue, sourceValue);
+  }
+  return Object.keys(sourceValue).every(function (key) {
+    return key in currentValue && containsDefaults(currentValue[key], sourceValue[key]);
+  });
+}
+
+// Remove the paths and array items a config patch added from the config text.
+// A value is only removed while it still matches the package default; objects
+// the user extended lose just the package keys, and objects the user edited are
+// kept whole. Objects and arrays left empty by the removal are removed too.
+// Values tightened by --enforce-defaults get their previous value back unless
+// changed since. Returns { text, removedPaths, removedArrayItems, restoredPaths }.
+function revertConfigPatch(text, configPatch, sourceConfig, logWarning, configLabel) {
+  const patch = normalizeConfigPatch(configPatch);
+  const removedPaths = [];
+  const removedArrayItems = [];
+  const restoredPaths = [];
+  let result = text;
+
+  for (const entry of patch.enforcedPaths) {
+    if (sameValue(getValueAt(jsonc.parse(result), entry.path), entry.value)) {
+      result = jsonc.setProperty(result, entry.path, entry.previous);
+      restoredPaths.push({ path: entry.path });
+    }
+  }
+
+  const removePath = function (segments) {
+    result = jsonc.removeProperty(result, segments);
+    removedPaths.push({ path: segments });
+    for (let depth = segments.length - 1; depth > 0; depth -= 1) {
+      const parent = getValueAt(jsonc.parse(result), segments.slice(0, depth));
+      if (!isObject(parent) || Object.keys(parent).length > 0) break;
+      result = jsonc.removeProperty(result, segments.slice(0, depth));
+    }
+  };
+
+  const revertValue = function (segments, sourceValue, currentValue) {
+    if (sourceValue === undefined || sameValue(currentValue, sourceValue)) {
+      removePath(segments);
+    } else if (containsDefaults(currentValue, sourceValue)) {
+      for (const key of Object.keys(sourceValue)) {
+        if (key in currentValue) {
+          revertValue(segments.concat(key), sourceValue[key], currentValue[key]);
+        }
+      }
+    } else if (logWarning) {
+      logWarning(`Keeping modified config value '${formatConfigPath(segments)}' in ${configLabel}; value differs from installer default.`);
+    }
+  };
+
+  // Deepest paths first, so a parent is judged after its own additions are gone.
+  // Entries without a recorded value (older manifests) compare with the package.
+  const entries = patch.addedPaths.slice().sort(function (a, b) { return b.path.length - a.path.length; });
+  for (const entry of entries) {
+    const currentValue = getValueAt(jsonc.parse(result), entry.path);
+    if (currentValue !== undefined) {
+      revertValue(entry.path, 'value' in entry ? entry.value : getValueAt(sourceConfig, entry.path), currentValue);
+    }
+  }
+
+  for (const entry of patch.addedArrayItems) {
+    let removedItems = 0;
+    for (const item of entry.items) {
+      const items = getValueAt(jsonc.parse(result), entry.path);
+      const index = Array.isArray(items) ? items.findIndex(function (candidate) { return sameValue(candidate, item); }) : -1;
+      if (index === -1) continue;
+      result = jsonc.removeArrayItem(result, entry.path, index);
+      addArrayItem(removedArrayItems, entry.path, item);
+      removedItems += 1;
+    }
+    const remaining = getValueAt(jsonc.parse(result), entry.path);
+    if (removedItems > 0 && Array.isArray(remaining) && remaining.length === 0) {
+      result = jsonc.removeProperty(result, entry.path);
+    }
+  }
+
+  return { text: result, removedPaths, removedArrayItems, restoredPaths };
+}
+
 function loadSourceConfig(sourceDir, logWarning) {
   const sourceConfigPath = path.join(sourceDir, 'opencode.json');
   const sourceConfig = readJsonFile(sourceConfigPath, 'package opencode.json', logWarning);
   if (!sourceConfig || !isObject(sourceConfig)) {
     throw new Error('Could not parse package opencode.json.');
   }
+  for (const key of Object.keys(sourceConfig)) {
+    const strategy = getMergeStrategy(key);
+    if (strategy === 'union-array' && !Array.isArray(sourceConfig[key])) {
+      throw new Error(`Package opencode.json "${key}" must be an array.`);
+    }
+    if (strategy === 'deep-merge' && !isObject(sourceConfig[key])) {
+      throw new Error(`Package opencode.json "${key}" must be an object.`);
+    }
+  }
+  const validationErrors = validateConfig(sourceConfig);
+  if (validationErrors.length > 0) {
+    throw new Error(`Package opencode.json fails schema validation:\n${jsonSchema.formatErrors(validationErrors).map(function (line) {
+      return `  ${line}`;
+    }).join('\n')}`);
+  }
   return sourceConfig;
 }
 
@@ -126,7 +456,7 @@ function configLooksManaged(configPath, sourceConfig, logWarning) {
     return false;
   }
 
-  const config = readJsonFile(configPath, `config at ${configPath}`, logWarning);
+  const config = jsonc.readJsoncFile(configPath, `config at ${configPath}`, logWarning);
   if (!config || !isObject(config)) {
     return false;
   }
@@ -145,53 +475,57 @@ function configLooksManaged(configPath, sourceConfig, logWarning) {
   return false;
 }
 
-function manifestlessCleanup(configPath, sourceConfig, onBeforeMutate, logWarning) {
+// Without a manifest there is no record of what the installer added, so only
+// the package's deep-merge and union-array defaults still matching the package
+// are removed. add-missing keys such as $schema are left to the user.
+function manifestlessCleanup(configPath, sourceConfig, onBeforeMutate, logWarning, options) {
+  const dryRun = Boolean(options && options.dryRun);
+  const unchanged = { changed: false, removedFile: false, removedPaths: [], removedArrayItems: [] };
   if (!fs.existsSync(configPath)) {
-    return { changed: false, removedFile: false };
+    return unchanged;
   }
 
-  const existing = readJsonFile(configPath, `existing config at ${configPath}`, logWarning);
+  const text = fs.readFileSync(configPath, 'utf8');
+  const existing = jsonc.readJsoncFile(configPath, `existing config at ${configPath}`, logWarning);
   if (!existing || !isObject(existing)) {
     if (logWarning) {
-      logWarning(`Skipping manifestless config cleanup; invalid JSON at ${configPath}.`);
+      logWarning(`Skipping manifestless config cleanup; could not parse ${configPath}.`);
     }
-    return { changed: false, removedFile: false };
+    return unchanged;
   }
 
   if (JSON.stringify(existing) === JSON.stringify(sourceConfig)) {
     if (typeof onBeforeMutate === 'function') {
       onBeforeMutate();
     }
-    fs.unlinkSync(configPath);
-    return { changed: true, removedFile: true };
+    if (!dryRun) {
+      fs.unlinkSync(configPath);
+    }
+    return { changed: true, removedFile: true, removedPaths: [], removedArrayItems: [] };
   }
 
-  let changed = false;
-
-  if (isObject(sourceConfig.permission) && isObject(existing.permission)) {
-    for (const key of Object.keys(sourceConfig.permission)) {
-      if (!(key in existing.permission)) {
-        continue;
-      }
-      if (JSON.stringify(existing.permission[key]) === JSON.stringify(sourceConfig.permission[key])) {
-        delete existing.permission[key];
-        changed = true;
-      }
-    }
-    if (Object.keys(existing.permission).length === 0) {
-      delete existing.permission;
-      changed = true;
+  const assumedPatch = { addedPaths: [], addedArrayItems: [] };
+  for (const key of Object.keys(sourceConfig)) {
+    const strategy = getMergeStrategy(key);
+    if (strategy === 'deep-merge') {
+      assumedPatch.addedPaths.push({ path: [key] });
+    } else if (strategy === 'union-array') {
+      assumedPatch.addedArrayItems.push({ path: [key], items: sourceConfig[key] });
     }
   }
+  const reverted = revertConfigPatch(text, assumedPatch, sourceConfig, null, configPath);
+  const changed = reverted.text !== text;
 
   if (changed) {
     if (typeof onBeforeMutate === 'function') {
       onBeforeMutate();
     }
-    writeJsonFile(configPath, existing);
+    if (!dryRun) {
+      fs.writeFileSync(configPath, reverted.text);
+    }
   }
 
-  return { changed, removedFile: false };
+  return { changed, removedFile: false, removedPaths: reverted.removedPaths, removedArrayItems: reverted.removedArrayItems };
 }
 
 function checkLegacyAgentDir(opencodeDir, opts) {
@@ -207,6 +541,7 @@ function checkLegacyAgentDir(opencodeDir, opts) {
       logError('');
       logError(`Migration: mv ${legacyDir} ${path.join(opencodeDir, AGENT_DIR)}`);
       logError(`Then re-run: npx ${pkgName}`);
+      logError(`Or let install/update move and merge the files for you: npx ${pkgName} --update --migrate`);
     }
     return false;
   }
@@ -214,8 +549,15 @@ function checkLegacyAgentDir(opencodeDir, opts) {
 }
 
 module.exports = {
+  CONFIG_MERGE_SPEC,
+  getMergeStrategy,
+  formatConfigPath,
+  findConfigConflicts,
+  validateConfig,
   mergeInstallerConfig,
+  normalizeConfigPatch,
   mergeConfigPatches,
+  revertConfigPatch,
   loadSourceConfig,
   configLooksManaged,
   manifestlessCleanup,
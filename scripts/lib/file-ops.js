@@ -1,8 +1,9 @@
 'use strict';
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { toManagedPath } = require('./paths.js');
+const { toManagedPath, OVERRIDES_DIR } = require('./paths.js');
 
 const BACKUP_DIR = '.backups';
 
@@ -23,6 +24,21 @@ const LANGUAGE_MAP = {
 
 const LANGUAGE_INSTRUCTIONS = new Set(Object.values(LANGUAGE_MAP));
 
+// Packaged skill directory per LANGUAGE_MAP key; cicd has no skill.
+const LANGUAGE_SKILLS = {
+  dotnet: 'dotnet',
+  python: 'python',
+  typescript: 'typescript',
+  flutter: 'flutter',
+  go: 'go',
+  java: 'java-spring',
+  node: 'node-express',
+  react: 'react-next',
+  ruby: 'ruby-rails',
+  rust: 'rust',
+  sql: 'sql-migrations',
+};
+
 const ALWAYS_KEEP = [
   'blogger.instructions.md',
   'brutal-critic.instructions.md',
@@ -62,12 +78,15 @@ function removeIfExists(filePath) {
   return true;
 }
 
-function removeManagedFile(absolutePath, relativePathFromRoot, paths, backupSession) {
+function removeManagedFile(absolutePath, relativePathFromRoot, paths, backupSession, options) {
+  const dryRun = Boolean(options && options.dryRun);
   if (!fs.existsSync(absolutePath)) {
     return { removed: false, directory: null };
   }
   backupSession.backupFile(absolutePath, relativePathFromRoot || path.relative(paths.rootDir, absolutePath));
-  fs.unlinkSync(absolutePath);
+  if (!dryRun) {
+    fs.unlinkSync(absolutePath);
+  }
   return { removed: true, directory: path.dirname(absolutePath) };
 }
 
@@ -103,6 +122,10 @@ function getManagedSourceFiles(sourceOpencodeDir) {
       return false;
     }
 
+    if (relativePath.startsWith(`${OVERRIDES_DIR}${path.sep}`)) {
+      return false;
+    }
+
     if (/\.backup\./.test(relativePath)) {
       return false;
     }
@@ -126,6 +149,24 @@ function filesEqual(pathA, pathB) {
   }
 }
 
+function hashBuffer(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function hashFile(filePath) {
+  return hashBuffer(fs.readFileSync(filePath));
+}
+
+// Compare installed, recorded (at last install) and package hashes:
+// pristine (untouched since install), local (edited locally, package unchanged),
+// upstream (package changed, local untouched), both (edited on both sides).
+function classifyManagedFile(recordedHash, currentHash, upstreamHash) {
+  if (!recordedHash || currentHash === recordedHash) {
+    return upstreamHash === currentHash ? 'pristine' : 'upstream';
+  }
+  return upstreamHash === recordedHash ? 'local' : 'both';
+}
+
 function buildManagedFilesFromSource(scope, sourceFiles, paths) {
   const managedFiles = [];
 
@@ -140,27 +181,57 @@ function buildManagedFilesFromSource(scope, sourceFiles, paths) {
   return managedFiles;
 }
 
-function installManagedTree(sourceOpencodeDir, sourceFiles, destinationOpencodeDir, scope, backupSession, logWarning) {
-  ensureDir(destinationOpencodeDir);
+function installManagedTree(sourceOpencodeDir, sourceFiles, destinationOpencodeDir, scope, backupSession, logWarning, options) {
+  const dryRun = Boolean(options && options.dryRun);
+  const force = Boolean(options && options.force);
+  const recordedHashes = (options && isObject(options.recordedHashes)) ? options.recordedHashes : {};
+  const transformedContents = (options && isObject(options.transformedContents)) ? options.transformedContents : {};
+  // Workspace packages install outside the scope's .opencode/ and pass their
+  // own directory, relative to the scope root, for managed paths.
+  const managedPrefix = options && options.managedPrefix;
+  const toManaged = function (relativeFile) {
+    return managedPrefix ? path.join(managedPrefix, relativeFile) : toManagedPath(scope, relativeFile);
+  };
+  if (!dryRun) {
+    ensureDir(destinationOpencodeDir);
+  }
 
   let copiedCount = 0;
   let skippedCount = 0;
   let backupCount = 0;
+  const copiedFiles = [];
+  const skippedFiles = [];
+  const localFiles = [];
+  const conflictFiles = [];
+  const fileHashes = {};
 
   for (const relativeFile of sourceFiles) {
     const src = path.join(sourceOpencodeDir, relativeFile);
     const dest = path.join(destinationOpencodeDir, relativeFile);
-    const destParent = path.dirname(dest);
-    ensureDir(destParent);
+    const managedPath = toManaged(relativeFile);
+    const transformedContent = transformedContents[relativeFile];
+    const upstreamHash = transformedContent ? hashBuffer(transformedContent) : hashFile(src);
 
     if (fs.existsSync(dest)) {
-      if (filesEqual(src, dest)) {
+      const currentHash = hashFile(dest);
+      if (currentHash === upstreamHash) {
         skippedCount += 1;
+        skippedFiles.push(relativeFile);
+        fileHashes[managedPath] = upstreamHash;
+        continue;
+      }
+
+      const state = classifyManagedFile(recordedHashes[managedPath], currentHash, upstreamHash);
+      if (!force && (state === 'local' || state === 'both')) {
+        // Keep the local edit and keep tracking the last installed hash so the
+        // file is still reported as modified on the next update.
+        (state === 'local' ? localFiles : conflictFiles).push(relativeFile);
+        fileHashes[managedPath] = recordedHashes[managedPath];
         continue;
       }
 
       try {
-        if (backupSession && backupSession.backupFile(dest, toManagedPath(scope, relativeFile))) {
+        if (backupSession && backupSession.backupFile(dest, managedPath)) {
           backupCount += 1;
         }
       } catch (err) {
@@ -170,41 +241,90 @@ function installManagedTree(sourceOpencodeDir, sourceFiles, destinationOpencodeD
       }
     }
 
-    fs.copyFileSync(src, dest);
+    if (!dryRun) {
+      ensureDir(path.dirname(dest));
+      if (transformedContent) {
+        fs.writeFileSync(dest, transformedContent);
+      } else {
+        fs.copyFileSync(src, dest);
+      }
+    }
     copiedCount += 1;
+    copiedFiles.push(relativeFile);
+    fileHashes[managedPath] = upstreamHash;
   }
 
   return {
     copiedCount,
     skippedCount,
     backupCount,
+    copiedFiles,
+    skippedFiles,
+    localFiles,
+    conflictFiles,
+    fileHashes,
+  };
+}
+
+function parseLanguages(languages) {
+  const validLanguages = Object.keys(LANGUAGE_MAP);
+  const requested = String(languages || '').split(',').map(function (l) { return l.trim().toLowerCase(); }).filter(Boolean);
+  return {
+    valid: requested.filter(function (l) { return validLanguages.includes(l); }),
+    invalid: requested.filter(function (l) { return !validLanguages.includes(l); }),
   };
 }
 
-function filterLanguages(installDir, languages, logFns) {
+// Skill directories for languages outside the filter. Empty when the filter
+// has no valid language, matching filterLanguages keeping everything.
+function getFilteredLanguageSkills(languages) {
+  const { valid } = parseLanguages(languages);
+  if (valid.length === 0) {
+    return [];
+  }
+  return Object.keys(LANGUAGE_SKILLS)
+    .filter(function (language) { return !valid.includes(language); })
+    .map(function (language) { return LANGUAGE_SKILLS[language]; });
+}
+
+// The instruction files and skill directories of the given languages, out of
+// a list of files relative to the opencode dir.
+function getLanguageFiles(sourceFiles, languages) {
+  const { valid } = parseLanguages(languages);
+  const instructions = valid.map(function (language) { return path.join('instructions', LANGUAGE_MAP[language]); });
+  const skillDirs = valid
+    .filter(function (language) { return LANGUAGE_SKILLS[language]; })
+    .map(function (language) { return path.join('skills', LANGUAGE_SKILLS[language]) + path.sep; });
+  return sourceFiles.filter(function (relativeFile) {
+    return instructions.includes(relativeFile) || skillDirs.some(function (dir) { return relativeFile.startsWith(dir); });
+  });
+}
+
+// In dry-run mode nothing is deleted; options.plannedFiles lists the instruction
+// file names expected to exist once the install completes.
+function filterLanguages(installDir, languages, logFns, options) {
   const logWarning = logFns && logFns.warning;
   const logInfo = logFns && logFns.info;
   const logSuccess = logFns && logFns.success;
+  const dryRun = Boolean(options && options.dryRun);
+  const result = { applied: [], removed: [] };
 
   const instructionsDir = path.join(installDir, 'instructions');
-  if (!fs.existsSync(instructionsDir)) {
+  if (!dryRun && !fs.existsSync(instructionsDir)) {
     if (logWarning) logWarning('No instructions directory found — skipping language filter.');
-    return;
+    return result;
   }
 
-  const validLanguages = Object.keys(LANGUAGE_MAP);
-  const requested = languages.split(',').map(function (l) { return l.trim().toLowerCase(); }).filter(Boolean);
-  const invalid = requested.filter(function (l) { return !validLanguages.includes(l); });
+  const { valid, invalid } = parseLanguages(languages);
 
   if (invalid.length > 0) {
     if (logWarning) logWarning(`Unknown language(s): ${invalid.join(', ')}`);
-    if (logInfo) logInfo(`Available: ${validLanguages.join(', ')}`);
+    if (logInfo) logInfo(`Available: ${Object.keys(LANGUAGE_MAP).join(', ')}`);
   }
 
-  const valid = requested.filter(function (l) { return validLanguages.includes(l); });
   if (valid.length === 0) {
     if (logWarning) logWarning('No valid languages specified — keeping all instruction files.');
-    return;
+    return result;
   }
 
   const keepFiles = new Set(ALWAYS_KEEP);
@@ -214,14 +334,20 @@ function filterLanguages(installDir, languages, logFns) {
     }
   }
 
-  const allFiles = fs.readdirSync(instructionsDir);
+  const allFiles = dryRun ? ((options && options.plannedFiles) || []) : fs.readdirSync(instructionsDir);
   const removed = [];
+  result.applied = valid;
+  result.removed = removed;
 
   for (var j = 0; j < allFiles.length; j++) {
     var file = allFiles[j];
     if (keepFiles.has(file) || !LANGUAGE_INSTRUCTIONS.has(file)) {
       continue;
     }
+    if (dryRun) {
+      removed.push(file);
+      continue;
+    }
     try {
       fs.unlinkSync(path.join(instructionsDir, file));
       removed.push(file);
@@ -230,10 +356,15 @@ function filterLanguages(installDir, languages, logFns) {
     }
   }
 
+  if (dryRun) {
+    return result;
+  }
+
   if (logSuccess) logSuccess(`✓ Applied language filter: ${valid.join(', ')}`);
   if (removed.length > 0) {
     if (logInfo) logInfo(`Removed ${removed.length} instruction file(s): ${removed.join(', ')}`);
   }
+  return result;
 }
 
 function pruneEmptyDirectories(directories, stopAtDirectory) {
@@ -273,8 +404,13 @@ module.exports = {
   listFilesRecursive,
   getManagedSourceFiles,
   filesEqual,
+  hashBuffer,
+  hashFile,
+  classifyManagedFile,
   buildManagedFilesFromSource,
   installManagedTree,
+  getFilteredLanguageSkills,
+  getLanguageFiles,
   filterLanguages,
   pruneEmptyDirectories,
 };
@@ -0,0 +1,107 @@
+'use strict';
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const KEY_PATTERN = /^(\s*)("(?:[^"\\]|\\.)*"|'[^']*'|[^"'\s#-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*?))?\s*$/;
+const BLOCK_SCALAR_PATTERN = /^[>|][-+]?\d*$/;
+
+function unquote(rawValue) {
+  return rawValue.trim().replace(/^"(.*)"$/, '$1').replace(/^'(.*)'$/, '$1');
+}
+
+function splitFrontmatter(content) {
+  const match = content.match(FRONTMATTER_PATTERN);
+  if (!match) {
+    return { frontmatter: null, body: content };
+  }
+  return { frontmatter: match[1], body: content.slice(match[0].length) };
+}
+
+// Parses the YAML subset used by agent/command/skill frontmatter: nested maps,
+// scalars, block scalars and simple lists. Lines that are not map entries are
+// kept verbatim (relative to their owning entry) so they round-trip unchanged.
+function parseFrontmatter(text) {
+  const root = { key: null, indent: -1, value: '', rawLines: [], children: [] };
+  const stack = [root];
+  let blockOwner = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) {
+      if (blockOwner) blockOwner.rawLines.push('');
+      continue;
+    }
+
+    const indent = line.match(/^\s*/)[0].length;
+    if (blockOwner && indent > blockOwner.indent) {
+      blockOwner.rawLines.push(line.slice(blockOwner.indent));
+      continue;
+    }
+    blockOwner = null;
+
+    const match = line.match(KEY_PATTERN);
+    if (!match) {
+      while (stack.length > 1 && stack[stack.length - 1].indent > indent) {
+        stack.pop();
+      }
+      const owner = stack[stack.length - 1];
+      owner.rawLines.push(owner === root ? line : line.slice(owner.indent));
+      continue;
+    }
+
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+
+    const entry = {
+      key: unquote(match[2]),
+      rawKey: match[2],
+      indent,
+      value: match[3] || '',
+      rawLines: [],
+      children: [],
+    };
+    stack[stack.length - 1].children.push(entry);
+    stack.push(entry);
+
+    if (BLOCK_SCALAR_PATTERN.test(entry.value)) {
+      blockOwner = entry;
+    }
+  }
+
+  return root;
+}
+
+function serializeEntries(entries, depth, lines) {
+  const pad = '  '.repeat(depth);
+  for (const entry of entries) {
+    lines.push(`${pad}${entry.rawKey}:${entry.value ? ` ${entry.value}` : ''}`);
+    for (const rawLine of entry.rawLines) {
+      lines.push(rawLine ? `${pad}${rawLine}` : '');
+    }
+    serializeEntries(entry.children, depth + 1, lines);
+  }
+}
+
+function serializeFrontmatter(root) {
+  const lines = root.rawLines.slice();
+  serializeEntries(root.children, 0, lines);
+  return lines.join('\n');
+}
+
+function findEntry(node, keyPath) {
+  let current = node;
+  for (const key of keyPath) {
+    current = current.children.find(function (child) { return child.key === key; });
+    if (!current) {
+      return null;
+    }
+  }
+  return current;
+}
+
+module.exports = {
+  unquote,
+  findEntry,
+  splitFrontmatter,
+  parseFrontmatter,
+  serializeFrontmatter,
+};
@@ -0,0 +1,154 @@
+'use strict';
+
+// A small JSON Schema (draft-07) validator covering the keywords the vendored
+// opencode config schema uses: type, enum, const, properties, required,
+// additionalProperties, items, minItems, minLength, minimum, maximum, anyOf,
+// oneOf and local "#/definitions/..." references.
+
+function escapePointerSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(rootSchema, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce(function (node, segment) {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!node || !(key in node)) {
+      throw new Error(`Unresolved schema reference ${ref}`);
+    }
+    return node[key];
+  }, rootSchema);
+}
+
+function describeValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function validateNode(rootSchema, schema, value, pointer, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ pointer, message: 'is not allowed' });
+    return;
+  }
+  if (schema.$ref) {
+    validateNode(rootSchema, resolveRef(rootSchema, schema.$ref), value, pointer, errors);
+    return;
+  }
+
+  if (schema.anyOf || schema.oneOf) {
+    const branches = (schema.anyOf || schema.oneOf).map(function (branch) {
+      const branchErrors = [];
+      validateNode(rootSchema, branch, value, pointer, branchErrors);
+      return branchErrors;
+    });
+    const passing = branches.filter(function (branchErrors) { return branchErrors.length === 0; }).length;
+    if (schema.oneOf && passing > 1) {
+      errors.push({ pointer, message: 'matches more than one allowed form' });
+    } else if (passing === 0) {
+      // Report the branch that came closest, which is usually the intended one:
+      // prefer branches whose errors sit below this value, then the fewest errors.
+      const score = function (branchErrors) {
+        const own = branchErrors.filter(function (entry) { return entry.pointer === pointer; }).length;
+        return own * 1000 + branchErrors.length;
+      };
+      const closest = branches.reduce(function (best, branchErrors) {
+        return score(branchErrors) < score(best) ? branchErrors : best;
+      });
+      errors.push(...closest);
+    }
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(function (type) { return matchesType(value, type); })) {
+      errors.push({ pointer, message: `must be ${types.map(function (type) { return `a${/^[aeiou]/.test(type) ? 'n' : ''} ${type}`; }).join(' or ')}` });
+      return;
+    }
+  }
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push({ pointer, message: `must be ${describeValue(schema.const)}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.some(function (allowed) { return JSON.stringify(allowed) === JSON.stringify(value); })) {
+    errors.push({ pointer, message: `must be one of ${schema.enum.map(describeValue).join(', ')}` });
+    return;
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ pointer, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ pointer, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ pointer, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ pointer, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach(function (item, index) {
+        validateNode(rootSchema, schema.items, item, `${pointer}/${index}`, errors);
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(function (key) {
+      if (!(key in value)) {
+        errors.push({ pointer, message: `must have required property "${key}"` });
+      }
+    });
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(function (key) {
+      const childPointer = `${pointer}/${escapePointerSegment(key)}`;
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        validateNode(rootSchema, properties[key], value[key], childPointer, errors);
+      } else if (schema.additionalProperties !== undefined) {
+        validateNode(rootSchema, schema.additionalProperties, value[key], childPointer, errors);
+      }
+    });
+  }
+}
+
+// Validate value against schema. Returns [{ pointer, message }] with RFC 6901
+// JSON pointers ("" is the document root); empty when the value is valid.
+function validate(schema, value) {
+  const errors = [];
+  validateNode(schema, schema, value, '', errors);
+  return errors;
+}
+
+// The JSON pointer of a property path (["mcp", "docs"] -> "/mcp/docs").
+function toPointer(segments) {
+  return segments.map(function (segment) { return `/${escapePointerSegment(segment)}`; }).join('');
+}
+
+function formatErrors(errors) {
+  return errors.map(function (entry) { return `${entry.pointer || '/'}: ${entry.message}`; });
+}
+
+module.exports = {
+  validate,
+  toPointer,
+  formatErrors,
+};
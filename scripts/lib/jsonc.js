@@ -0,0 +1,384 @@
+'use strict';
+
+const fs = require('fs');
+
+// JSON with comments and trailing commas (opencode.json / opencode.jsonc).
+// parseTree() keeps the source offsets of every value so the edit helpers can
+// splice installer-owned keys in and out without reformatting anything else.
+
+function createError(text, offset, message) {
+  const before = text.slice(0, offset).split('\n');
+  return new SyntaxError(`${message} at line ${before.length} column ${before[before.length - 1].length + 1}`);
+}
+
+function parseTree(text) {
+  let pos = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  function skipTrivia() {
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') {
+        pos += 1;
+      } else if (ch === '/' && text[pos + 1] === '/') {
+        while (pos < text.length && text[pos] !== '\n') pos += 1;
+      } else if (ch === '/' && text[pos + 1] === '*') {
+        const close = text.indexOf('*/', pos + 2);
+        if (close === -1) throw createError(text, pos, 'Unterminated comment');
+        pos = close + 2;
+      } else {
+        break;
+      }
+    }
+  }
+
+  function parseString() {
+    const start = pos;
+    pos += 1;
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\n') break;
+      pos += text[pos] === '\\' ? 2 : 1;
+    }
+    if (text[pos] !== '"') throw createError(text, start, 'Unterminated string');
+    pos += 1;
+    try {
+      return { type: 'string', offset: start, end: pos, value: JSON.parse(text.slice(start, pos)) };
+    } catch {
+      throw createError(text, start, 'Invalid string');
+    }
+  }
+
+  function parseLiteral() {
+    const start = pos;
+    const number = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+    number.lastIndex = pos;
+    const match = number.exec(text);
+    if (match && match[0]) {
+      pos += match[0].length;
+      return { type: 'number', offset: start, end: pos, value: Number(match[0]) };
+    }
+    for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (text.startsWith(word, pos)) {
+        pos += word.length;
+        return { type: value === null ? 'null' : 'boolean', offset: start, end: pos, value };
+      }
+    }
+    throw createError(text, pos, pos < text.length ? `Unexpected character '${text[pos]}'` : 'Unexpected end of input');
+  }
+
+  function parseContainer(type) {
+    const node = { type, offset: pos, end: -1, children: [] };
+    const close = type === 'object' ? '}' : ']';
+    pos += 1;
+    for (;;) {
+      skipTrivia();
+      if (text[pos] === close) break;
+      if (type === 'object') {
+        if (text[pos] !== '"') throw createError(text, pos, 'Expected a property name');
+        const key = parseString();
+        skipTrivia();
+        if (text[pos] !== ':') throw createError(text, pos, "Expected ':'");
+        pos += 1;
+        skipTrivia();
+        const value = parseValue();
+        node.children.push({ type: 'property', key: key.value, offset: key.offset, end: value.end, value });
+      } else {
+        node.children.push(parseValue());
+      }
+      skipTrivia();
+      if (text[pos] === ',') {
+        pos += 1;
+      } else if (text[pos] !== close) {
+        throw createError(text, pos, `Expected ',' or '${close}'`);
+      }
+    }
+    pos += 1;
+    node.end = pos;
+    return node;
+  }
+
+  function parseValue() {
+    if (text[pos] === '{') return parseContainer('object');
+    if (text[pos] === '[') return parseContainer('array');
+    if (text[pos] === '"') return parseString();
+    return parseLiteral();
+  }
+
+  skipTrivia();
+  const root = parseValue();
+  skipTrivia();
+  if (pos < text.length) throw createError(text, pos, 'Unexpected content after the root value');
+  return root;
+}
+
+function toValue(node) {
+  if (node.type === 'object') {
+    const result = {};
+    node.children.forEach(function (property) { result[property.key] = toValue(property.value); });
+    return result;
+  }
+  if (node.type === 'array') {
+    return node.children.map(toValue);
+  }
+  return node.value;
+}
+
+function parse(text) {
+  return toValue(parseTree(text));
+}
+
+// Like file-ops readJsonFile: returns null (and warns) when the file cannot be parsed.
+function readJsoncFile(filePath, labelForError, logWarning) {
+  try {
+    return parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (logWarning) {
+      logWarning(`Could not parse ${labelForError}: ${err.message}`);
+    }
+    return null;
+  }
+}
+
+function findNode(root, segments) {
+  let node = root;
+  for (const segment of segments) {
+    if (!node || node.type !== 'object') return undefined;
+    const property = node.children.find(function (child) { return child.key === segment; });
+    node = property && property.value;
+  }
+  return node;
+}
+
+function detectIndentUnit(text) {
+  const match = /^([ \t]+)\S/m.exec(text);
+  if (!match) return '  ';
+  return match[1][0] === '\t' ? '\t' : match[1];
+}
+
+// The document's line ending, taken from its first line break.
+function detectEol(text) {
+  const newline = text.indexOf('\n');
+  return newline > 0 && text[newline - 1] === '\r' ? '\r\n' : '\n';
+}
+
+function lineStart(text, offset) {
+  return text.lastIndexOf('\n', offset - 1) + 1;
+}
+
+function lineIndent(text, offset) {
+  return /^[ \t]*/.exec(text.slice(lineStart(text, offset)))[0];
+}
+
+function formatValue(value, unit, indent, eol) {
+  return JSON.stringify(value, null, unit).split('\n').join(`${eol}${indent}`);
+}
+
+function splice(text, start, end, insert) {
+  return text.slice(0, start) + insert + text.slice(end);
+}
+
+// Position just past a ',' that follows `offset` (skipping spaces and block
+// comments on the way), or -1 when there is none.
+function findCommaAfter(text, offset) {
+  let pos = offset;
+  for (;;) {
+    while (text[pos] === ' ' || text[pos] === '\t' || text[pos] === '\r' || text[pos] === '\n') pos += 1;
+    if (text.startsWith('/*', pos)) {
+      pos = text.indexOf('*/', pos + 2) + 2;
+      continue;
+    }
+    if (text.startsWith('//', pos)) {
+      pos = text.indexOf('\n', pos);
+      if (pos === -1) return -1;
+      continue;
+    }
+    return text[pos] === ',' ? pos + 1 : -1;
+  }
+}
+
+// End of the current line (before its \r\n or \n) when only whitespace or a
+// comment follows `offset` on it; otherwise `offset` itself.
+function endOfLineAfter(text, offset) {
+  let newline = text.indexOf('\n', offset);
+  if (newline === -1) {
+    newline = text.length;
+  } else if (newline > offset && text[newline - 1] === '\r') {
+    newline -= 1;
+  }
+  const rest = text.slice(offset, newline);
+  return /^[ \t]*(\/\/.*|\/\*.*\*\/[ \t]*)?$/.test(rest) ? newline : offset;
+}
+
+function insertEntry(text, container, entry, first) {
+  const unit = detectIndentUnit(text);
+  const eol = detectEol(text);
+  const children = container.children;
+  if (children.length === 0) {
+    const indent = lineIndent(text, container.offset);
+    const inner = text.slice(container.offset + 1, container.end - 1);
+    const childIndent = indent + unit;
+    const entryText = entry(childIndent, unit, eol);
+    if (inner.trim() === '') {
+      return splice(text, container.offset + 1, container.end - 1, `${eol}${childIndent}${entryText}${eol}${indent}`);
+    }
+    return splice(text, container.offset + 1, container.offset + 1, `${eol}${childIndent}${entryText}`);
+  }
+
+  const multiline = text.slice(container.offset, children[0].offset).includes('\n');
+  if (first) {
+    if (!multiline) {
+      return splice(text, children[0].offset, children[0].offset, `${entry('', unit, eol).replace(/\r?\n\s*/g, ' ')}, `);
+    }
+    // Right after the opening bracket, or after a comment trailing it.
+    const childIndent = lineIndent(text, children[0].offset);
+    const anchor = endOfLineAfter(text, container.offset + 1);
+    return splice(text, anchor, anchor, `${eol}${childIndent}${entry(childIndent, unit, eol)},`);
+  }
+
+  const last = children[children.length - 1];
+  const commaEnd = findCommaAfter(text, last.end);
+  if (!multiline) {
+    const anchor = commaEnd === -1 ? last.end : commaEnd;
+    const entryText = entry('', unit, eol).replace(/\r?\n\s*/g, ' ');
+    return splice(text, anchor, anchor, `${commaEnd === -1 ? ',' : ''} ${entryText}${commaEnd === -1 ? '' : ','}`);
+  }
+
+  const childIndent = lineIndent(text, children[0].offset);
+  const entryText = entry(childIndent, unit, eol);
+  const anchor = endOfLineAfter(text, commaEnd === -1 ? last.end : commaEnd);
+  let result = splice(text, anchor, anchor, `${eol}${childIndent}${entryText}${commaEnd === -1 ? '' : ','}`);
+  if (commaEnd === -1) {
+    result = splice(result, last.end, last.end, ',');
+  }
+  return result;
+}
+
+function removeEntry(text, container, index) {
+  const children = container.children;
+  const child = children[index];
+  let start = child.offset;
+  let end = child.end;
+  const commaEnd = findCommaAfter(text, end);
+  if (commaEnd !== -1) {
+    end = commaEnd;
+  }
+
+  let result;
+  if (/^[ \t]*$/.test(text.slice(lineStart(text, start), start))) {
+    // The entry starts its line: remove whole lines, including a trailing comment.
+    const lineEnd = endOfLineAfter(text, end);
+    if (lineEnd !== end || text[end] === '\n' || text[end] === '\r') {
+      start = lineStart(text, start);
+      end = Math.min(text.length, lineEnd + (text[lineEnd] === '\r' ? 2 : 1));
+    }
+    result = splice(text, start, end, '');
+  } else {
+    // Drop the space that separated the entry from its neighbour.
+    if (commaEnd === -1) {
+      while (text[start - 1] === ' ' || text[start - 1] === '\t') start -= 1;
+    } else {
+      while (text[end] === ' ' || text[end] === '\t') end += 1;
+    }
+    result = splice(text, start, end, '');
+  }
+
+  // The previous entry's comma separated it from the removed last entry.
+  if (index === children.length - 1 && commaEnd === -1 && index > 0) {
+    const previousComma = findCommaAfter(result, children[index - 1].end);
+    if (previousComma !== -1) {
+      result = splice(result, previousComma - 1, previousComma, '');
+    }
+  }
+
+  if (children.length === 1) {
+    const inner = result.slice(container.offset + 1, result.indexOf(container.type === 'object' ? '}' : ']', container.offset + 1));
+    if (inner.trim() === '') {
+      result = splice(result, container.offset + 1, container.offset + 1 + inner.length, '');
+    }
+  }
+  return result;
+}
+
+function buildNested(segments, value) {
+  return segments.reduceRight(function (nested, segment) {
+    const wrapper = {};
+    wrapper[segment] = nested;
+    return wrapper;
+  }, value);
+}
+
+function getObjectAt(root, segments, label) {
+  const node = findNode(root, segments);
+  if (node && node.type !== 'object') {
+    throw new Error(`${label || segments.join('.')} is not an object`);
+  }
+  return node;
+}
+
+// Set segments (a property path) to value. Existing values are replaced in
+// place; missing properties are appended to their object (or inserted first
+// with options.first), creating parent objects as needed.
+function setProperty(text, segments, value, options) {
+  const first = Boolean(options && options.first);
+  const root = parseTree(text);
+  if (root.type !== 'object') throw new Error('The config root is not an object');
+
+  let node = root;
+  for (let i = 0; i < segments.length; i += 1) {
+    const property = node.children.find(function (child) { return child.key === segments[i]; });
+    if (!property) {
+      const nested = buildNested(segments.slice(i + 1), value);
+      return insertEntry(text, node, function (indent, unit, eol) {
+        return `${JSON.stringify(segments[i])}: ${formatValue(nested, unit, indent, eol)}`;
+      }, first);
+    }
+    if (i === segments.length - 1) {
+      const indent = lineIndent(text, property.offset);
+      return splice(text, property.value.offset, property.value.end, formatValue(value, detectIndentUnit(text), indent, detectEol(text)));
+    }
+    if (property.value.type !== 'object') {
+      throw new Error(`${segments.slice(0, i + 1).join('.')} is not an object`);
+    }
+    node = property.value;
+  }
+  return text;
+}
+
+function removeProperty(text, segments) {
+  const root = parseTree(text);
+  const parent = getObjectAt(root, segments.slice(0, -1));
+  if (!parent) return text;
+  const index = parent.children.findIndex(function (child) { return child.key === segments[segments.length - 1]; });
+  return index === -1 ? text : removeEntry(text, parent, index);
+}
+
+// Append value to the array at segments, creating the array when missing.
+function appendArrayItem(text, segments, value) {
+  const root = parseTree(text);
+  const node = findNode(root, segments);
+  if (!node) {
+    return setProperty(text, segments, [value]);
+  }
+  if (node.type !== 'array') {
+    throw new Error(`${segments.join('.')} is not an array`);
+  }
+  return insertEntry(text, node, function (indent, unit, eol) { return formatValue(value, unit, indent, eol); });
+}
+
+// Remove the item at index from the array at segments.
+function removeArrayItem(text, segments, index) {
+  const node = findNode(parseTree(text), segments);
+  if (!node || node.type !== 'array' || index < 0 || index >= node.children.length) {
+    return text;
+  }
+  return removeEntry(text, node, index);
+}
+
+module.exports = {
+  parse,
+  parseTree,
+  readJsoncFile,
+  setProperty,
+  removeProperty,
+  appendArrayItem,
+  removeArrayItem,
+};
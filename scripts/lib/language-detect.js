@@ -0,0 +1,136 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, isObject } = require('./file-ops.js');
+
+const MAX_DEPTH = 3;
+const IGNORED_DIRS = new Set([
+  '.git',
+  '.opencode',
+  'node_modules',
+  'vendor',
+  'dist',
+  'build',
+  'target',
+  'bin',
+  'obj',
+  '.venv',
+  'venv',
+  '__pycache__',
+  '.dart_tool',
+]);
+
+// File name markers per LANGUAGE_MAP key. Matched anywhere within MAX_DEPTH.
+const FILE_MARKERS = {
+  node: ['package.json'],
+  typescript: ['tsconfig.json'],
+  python: ['pyproject.toml', 'requirements.txt', 'setup.py', 'Pipfile'],
+  go: ['go.mod'],
+  rust: ['Cargo.toml'],
+  java: ['pom.xml', 'build.gradle', 'build.gradle.kts'],
+  ruby: ['Gemfile'],
+  flutter: ['pubspec.yaml'],
+  cicd: ['.gitlab-ci.yml', 'azure-pipelines.yml', 'Jenkinsfile'],
+};
+
+const EXTENSION_MARKERS = {
+  dotnet: ['.csproj', '.fsproj', '.sln'],
+};
+
+// Relative directory paths (POSIX separators) that signal a language.
+const DIRECTORY_MARKERS = {
+  sql: ['migrations', 'db/migrate', 'prisma/migrations', 'alembic'],
+  cicd: ['.github/workflows'],
+};
+
+const PACKAGE_JSON_MARKERS = {
+  typescript: ['typescript'],
+  react: ['react', 'next'],
+};
+
+function addEvidence(evidence, language, item) {
+  if (!evidence[language]) {
+    evidence[language] = [];
+  }
+  if (!evidence[language].includes(item)) {
+    evidence[language].push(item);
+  }
+}
+
+function inspectPackageJson(filePath, relativePath, evidence) {
+  const pkg = readJsonFile(filePath, relativePath);
+  if (!pkg || !isObject(pkg)) return;
+
+  const deps = Object.assign({}, pkg.dependencies, pkg.devDependencies, pkg.peerDependencies);
+  for (const language of Object.keys(PACKAGE_JSON_MARKERS)) {
+    const match = PACKAGE_JSON_MARKERS[language].find(function (name) { return Object.prototype.hasOwnProperty.call(deps, name); });
+    if (match) {
+      addEvidence(evidence, language, `${relativePath} (${match})`);
+    }
+  }
+}
+
+// Scan a project tree for language markers. Returns the detected LANGUAGE_MAP
+// keys (sorted) and, per key, the relative paths that triggered it.
+// options.excludeDirs lists relative directories (POSIX separators) to skip,
+// e.g. workspace packages that are scanned on their own.
+function detectLanguages(rootDir, options) {
+  const evidence = {};
+  const excludeDirs = new Set((options && options.excludeDirs) || []);
+
+  function walk(currentDir, relativeBase, depth) {
+    let entries;
+    try {
+      entries = fs.readdirSync(currentDir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      const relativePath = relativeBase ? `${relativeBase}/${entry.name}` : entry.name;
+      const absolutePath = path.join(currentDir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (excludeDirs.has(relativePath)) continue;
+        for (const language of Object.keys(DIRECTORY_MARKERS)) {
+          if (DIRECTORY_MARKERS[language].some(function (marker) { return relativePath === marker || relativePath.endsWith(`/${marker}`); })) {
+            addEvidence(evidence, language, `${relativePath}/`);
+          }
+        }
+        if (depth < MAX_DEPTH && !IGNORED_DIRS.has(entry.name)) {
+          walk(absolutePath, relativePath, depth + 1);
+        }
+        continue;
+      }
+      if (!entry.isFile()) continue;
+
+      for (const language of Object.keys(FILE_MARKERS)) {
+        if (FILE_MARKERS[language].includes(entry.name)) {
+          addEvidence(evidence, language, relativePath);
+        }
+      }
+      for (const language of Object.keys(EXTENSION_MARKERS)) {
+        if (EXTENSION_MARKERS[language].includes(path.extname(entry.name))) {
+          addEvidence(evidence, language, relativePath);
+        }
+      }
+      if (entry.name === 'package.json') {
+        inspectPackageJson(absolutePath, relativePath, evidence);
+      }
+    }
+  }
+
+  walk(rootDir, '', 0);
+
+  const languages = Object.keys(evidence).sort();
+  const sortedEvidence = {};
+  for (const language of languages) {
+    sortedEvidence[language] = evidence[language].sort();
+  }
+  return { languages, evidence: sortedEvidence };
+}
+
+module.exports = {
+  detectLanguages,
+};
@@ -0,0 +1,137 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LOCK_FILE = '.agents-opencode.lock';
+// Locks from another host cannot be checked by PID; treat them as stale after this.
+const STALE_AFTER_MS = 60 * 60 * 1000;
+// An unreadable lock (empty, truncated) counts as held until it is this old.
+const UNREADABLE_GRACE_MS = 60 * 1000;
+
+function readLock(lockPath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    return data && typeof data === 'object' ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function getLockAge(lockPath, now) {
+  try {
+    return now - fs.statSync(lockPath).mtimeMs;
+  } catch {
+    return Infinity;
+  }
+}
+
+function isLockStale(lock, now, age) {
+  if (!lock) {
+    return age > UNREADABLE_GRACE_MS;
+  }
+  if (lock.host === os.hostname()) {
+    return !isProcessAlive(lock.pid);
+  }
+  const startedAt = Date.parse(lock.startedAt);
+  return Number.isNaN(startedAt) || now - startedAt > STALE_AFTER_MS;
+}
+
+function describeLock(lock) {
+  if (!lock) {
+    return 'an unreadable lock file';
+  }
+  return `pid ${lock.pid} on ${lock.host} (${lock.operation || 'unknown operation'}, started ${lock.startedAt})`;
+}
+
+// Create lockPath holding content, failing with EEXIST when it exists. The
+// content goes to a temp file that is then hard-linked into place, so other
+// runs never see a half-written lock. Without hard link support, fall back to
+// an exclusive create.
+function createLockFile(lockPath, content) {
+  const tempPath = `${lockPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  try {
+    fs.linkSync(tempPath, lockPath);
+  } catch (err) {
+    if (err.code === 'EEXIST' || !['EPERM', 'ENOTSUP', 'ENOSYS', 'EXDEV'].includes(err.code)) {
+      throw err;
+    }
+    const fd = fs.openSync(lockPath, 'wx');
+    fs.writeSync(fd, content);
+    fs.closeSync(fd);
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+}
+
+// Take <rootDir>/.agents-opencode.lock. Returns { acquired, lockPath, release }
+// on success, or { acquired: false, lockPath, holder } when another live run
+// holds it. Stale locks (dead PID on this host, or older than STALE_AFTER_MS
+// from another host, or unreadable for UNREADABLE_GRACE_MS) are replaced;
+// breakLock replaces any lock.
+function acquireLock(rootDir, options) {
+  const operation = options && options.operation;
+  const breakLock = Boolean(options && options.breakLock);
+  const logWarning = options && options.logWarning;
+  const lockPath = path.join(rootDir, LOCK_FILE);
+  const lock = {
+    pid: process.pid,
+    host: os.hostname(),
+    operation: operation || null,
+    startedAt: new Date().toISOString(),
+  };
+
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      createLockFile(lockPath, JSON.stringify(lock, null, 2) + '\n');
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST' || attempt > 0) {
+        throw err;
+      }
+      const holder = readLock(lockPath);
+      const now = Date.now();
+      if (breakLock) {
+        if (logWarning) logWarning(`Breaking lock held by ${describeLock(holder)}.`);
+      } else if (isLockStale(holder, now, getLockAge(lockPath, now))) {
+        if (logWarning) logWarning(`Removing stale lock held by ${describeLock(holder)}.`);
+      } else {
+        return { acquired: false, lockPath, holder, description: describeLock(holder) };
+      }
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  let released = false;
+  function release() {
+    if (released) return;
+    released = true;
+    process.removeListener('exit', release);
+    const current = readLock(lockPath);
+    if (current && current.pid === lock.pid && current.startedAt === lock.startedAt) {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+  process.once('exit', release);
+
+  return { acquired: true, lockPath, release };
+}
+
+module.exports = {
+  LOCK_FILE,
+  acquireLock,
+};
@@ -0,0 +1,180 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { listFilesRecursive, hashBuffer } = require('./file-ops.js');
+const { splitFrontmatter, parseFrontmatter, serializeFrontmatter } = require('./frontmatter.js');
+
+const OVERLAY_DIRS = ['agents', 'commands', 'instructions', 'skills'];
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+function mergeEntries(baseEntries, overlayEntries) {
+  for (const overlayEntry of overlayEntries) {
+    const baseEntry = baseEntries.find(function (candidate) { return candidate.key === overlayEntry.key; });
+    if (!baseEntry) {
+      baseEntries.push(overlayEntry);
+      continue;
+    }
+
+    const overlayIsMap = overlayEntry.children.length > 0 && !overlayEntry.value && overlayEntry.rawLines.length === 0;
+    const baseIsMap = !baseEntry.value && baseEntry.rawLines.length === 0;
+    if (overlayIsMap && baseIsMap) {
+      mergeEntries(baseEntry.children, overlayEntry.children);
+      continue;
+    }
+
+    baseEntry.value = overlayEntry.value;
+    baseEntry.rawLines = overlayEntry.rawLines;
+    baseEntry.children = overlayEntry.children;
+  }
+}
+
+function findHeadings(lines) {
+  const headings = [];
+  let inFence = false;
+
+  for (let i = 0; i < lines.length; i += 1) {
+    if (FENCE_PATTERN.test(lines[i])) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) continue;
+
+    const match = lines[i].match(HEADING_PATTERN);
+    if (match) {
+      headings.push({ index: i, level: match[1].length, text: match[2].trim().toLowerCase() });
+    }
+  }
+
+  return headings;
+}
+
+function sectionEnd(lines, headings, position) {
+  const heading = headings[position];
+  for (let i = position + 1; i < headings.length; i += 1) {
+    if (headings[i].level <= heading.level) {
+      return headings[i].index;
+    }
+  }
+  return lines.length;
+}
+
+function trimTrailingBlankLines(lines) {
+  const trimmed = lines.slice();
+  while (trimmed.length > 0 && !trimmed[trimmed.length - 1].trim()) {
+    trimmed.pop();
+  }
+  return trimmed;
+}
+
+// Overlay sections replace the base section with the same heading (level and
+// text), including its subsections; sections without a match are appended.
+function mergeBody(baseBody, overlayBody) {
+  let baseLines = trimTrailingBlankLines(baseBody.split(/\r?\n/));
+  const overlayLines = overlayBody.split(/\r?\n/);
+  const overlayHeadings = findHeadings(overlayLines);
+
+  const appendLines = function (linesToAppend) {
+    const trimmed = trimTrailingBlankLines(linesToAppend);
+    while (trimmed.length > 0 && !trimmed[0].trim()) {
+      trimmed.shift();
+    }
+    if (trimmed.length === 0) return;
+    if (baseLines.length > 0) baseLines.push('');
+    baseLines = baseLines.concat(trimmed);
+  };
+
+  const preambleEnd = overlayHeadings.length > 0 ? overlayHeadings[0].index : overlayLines.length;
+  appendLines(overlayLines.slice(0, preambleEnd));
+
+  let position = 0;
+  while (position < overlayHeadings.length) {
+    const heading = overlayHeadings[position];
+    const end = sectionEnd(overlayLines, overlayHeadings, position);
+    const sectionLines = trimTrailingBlankLines(overlayLines.slice(heading.index, end));
+
+    const baseHeadings = findHeadings(baseLines);
+    const basePosition = baseHeadings.findIndex(function (candidate) {
+      return candidate.level === heading.level && candidate.text === heading.text;
+    });
+
+    if (basePosition === -1) {
+      appendLines(sectionLines);
+    } else {
+      const baseStart = baseHeadings[basePosition].index;
+      const baseEnd = sectionEnd(baseLines, baseHeadings, basePosition);
+      const replacement = baseEnd < baseLines.length ? sectionLines.concat(['']) : sectionLines;
+      baseLines = baseLines.slice(0, baseStart).concat(replacement, baseLines.slice(baseEnd));
+    }
+
+    while (position < overlayHeadings.length && overlayHeadings[position].index < end) {
+      position += 1;
+    }
+  }
+
+  return `${baseLines.join('\n')}\n`;
+}
+
+function applyOverlay(baseContent, overlayContent) {
+  const base = splitFrontmatter(baseContent);
+  const overlay = splitFrontmatter(overlayContent);
+
+  let frontmatter = base.frontmatter;
+  if (overlay.frontmatter !== null && overlay.frontmatter.trim()) {
+    const merged = parseFrontmatter(base.frontmatter || '');
+    mergeEntries(merged.children, parseFrontmatter(overlay.frontmatter).children);
+    frontmatter = serializeFrontmatter(merged);
+  }
+
+  const body = overlay.body.trim() ? mergeBody(base.body, overlay.body) : base.body;
+  if (frontmatter === null) {
+    return body;
+  }
+  return `---\n${frontmatter}\n---\n${body}`;
+}
+
+// Resolve overlay fragments under <overridesDir>/{agents,commands,instructions,skills}
+// against the packaged source files. Returns the merged contents keyed by the
+// packaged relative path plus a record of applied and skipped overlays.
+function collectOverlays(overridesDir, sourceOpencodeDir, sourceFiles, logWarning) {
+  const result = { contents: {}, applied: [], skipped: [] };
+  if (!overridesDir || !fs.existsSync(overridesDir)) {
+    return result;
+  }
+
+  const sourceSet = new Set(sourceFiles);
+
+  for (const dirName of OVERLAY_DIRS) {
+    const overlayRoot = path.join(overridesDir, dirName);
+    if (!fs.existsSync(overlayRoot)) continue;
+
+    for (const relativeOverlay of listFilesRecursive(overlayRoot).sort()) {
+      const relativeFile = path.join(dirName, relativeOverlay);
+      if (!relativeFile.endsWith('.md')) {
+        result.skipped.push({ path: relativeFile, reason: 'not a markdown file' });
+        if (logWarning) logWarning(`Skipping overlay ${relativeFile}: only markdown fragments are supported.`);
+        continue;
+      }
+      if (!sourceSet.has(relativeFile)) {
+        result.skipped.push({ path: relativeFile, reason: 'no matching packaged file' });
+        if (logWarning) logWarning(`Skipping overlay ${relativeFile}: no matching packaged file.`);
+        continue;
+      }
+
+      const overlayContent = fs.readFileSync(path.join(overlayRoot, relativeOverlay), 'utf8');
+      const baseContent = fs.readFileSync(path.join(sourceOpencodeDir, relativeFile), 'utf8');
+      result.contents[relativeFile] = Buffer.from(applyOverlay(baseContent, overlayContent), 'utf8');
+      result.applied.push({ path: relativeFile, hash: hashBuffer(overlayContent) });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  OVERLAY_DIRS,
+  applyOverlay,
+  collectOverlays,
+};
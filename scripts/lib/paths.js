@@ -7,13 +7,49 @@ const fs = require('fs');
 const MANIFEST_FILE = '.agents-opencode-manifest.json';
 const VERSION_FILE = '.opencode-agents-version';
 const AGENT_DIR = 'agents';
+const OVERRIDES_DIR = 'overrides';
 
 function getHomeDir() {
   return os.homedir();
 }
 
+const CONFIG_DIR_ENV = 'AGENTS_OPENCODE_CONFIG_DIR';
+
+let configDirOverride = null;
+
+// Set by --config-dir; takes precedence over the environment.
+function setGlobalConfigDir(dir) {
+  configDirOverride = dir ? path.resolve(dir) : null;
+}
+
+// Resolve the global root: --config-dir, then AGENTS_OPENCODE_CONFIG_DIR, then
+// $XDG_CONFIG_HOME/opencode (absolute paths only, per the XDG spec), then
+// ~/.config/opencode. Returns { dir, source }.
+function resolveGlobalConfigDir() {
+  if (configDirOverride) {
+    return { dir: configDirOverride, source: '--config-dir' };
+  }
+  const envDir = process.env[CONFIG_DIR_ENV];
+  if (envDir) {
+    return { dir: path.resolve(envDir), source: CONFIG_DIR_ENV };
+  }
+  const xdgConfigHome = process.env.XDG_CONFIG_HOME;
+  if (xdgConfigHome && path.isAbsolute(xdgConfigHome)) {
+    return { dir: path.join(xdgConfigHome, 'opencode'), source: 'XDG_CONFIG_HOME' };
+  }
+  return { dir: path.join(getHomeDir(), '.config', 'opencode'), source: 'default' };
+}
+
 function getGlobalConfigDir() {
-  return path.join(getHomeDir(), '.config', 'opencode');
+  return resolveGlobalConfigDir().dir;
+}
+
+const CONFIG_FILES = ['opencode.json', 'opencode.jsonc'];
+
+// opencode.json wins when both exist; new installs create opencode.json.
+function resolveConfigPath(rootDir) {
+  const existing = CONFIG_FILES.find(function (name) { return fs.existsSync(path.join(rootDir, name)); });
+  return path.join(rootDir, existing || CONFIG_FILES[0]);
 }
 
 function getScopePaths(scope, projectDir) {
@@ -25,7 +61,8 @@ function getScopePaths(scope, projectDir) {
       opencodeDir: rootDir,
       manifestPath: path.join(rootDir, MANIFEST_FILE),
       versionPath: path.join(rootDir, VERSION_FILE),
-      configPath: path.join(rootDir, 'opencode.json'),
+      configPath: resolveConfigPath(rootDir),
+      overridesDir: path.join(rootDir, OVERRIDES_DIR),
       agentsMdPath: null,
     };
   }
@@ -37,7 +74,8 @@ function getScopePaths(scope, projectDir) {
     opencodeDir: path.join(resolvedProjectDir, '.opencode'),
     manifestPath: path.join(resolvedProjectDir, '.opencode', MANIFEST_FILE),
     versionPath: path.join(resolvedProjectDir, VERSION_FILE),
-    configPath: path.join(resolvedProjectDir, 'opencode.json'),
+    configPath: resolveConfigPath(resolvedProjectDir),
+    overridesDir: path.join(resolvedProjectDir, '.opencode', OVERRIDES_DIR),
     agentsMdPath: path.join(resolvedProjectDir, 'AGENTS.md'),
   };
 }
@@ -61,8 +99,14 @@ module.exports = {
   MANIFEST_FILE,
   VERSION_FILE,
   AGENT_DIR,
+  OVERRIDES_DIR,
+  CONFIG_DIR_ENV,
+  CONFIG_FILES,
   getHomeDir,
+  setGlobalConfigDir,
+  resolveGlobalConfigDir,
   getGlobalConfigDir,
+  resolveConfigPath,
   getScopePaths,
   toManagedPath,
   resolveAgentDirectory,
@@ -0,0 +1,83 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, isObject } = require('./file-ops.js');
+const { COMPONENT_TYPES, parseSelection } = require('./components.js');
+const { readUserConfigSections } = require('./user-config.js');
+
+const PACKAGED_PROFILES_FILE = 'profiles.json';
+
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value.map(String).join(',');
+  }
+  return typeof value === 'string' ? value : '';
+}
+
+function normalizeProfile(name, definition, source) {
+  if (!isObject(definition)) {
+    throw new Error(`Profile "${name}" in ${source} must be an object.`);
+  }
+
+  const selections = {};
+  for (const type of COMPONENT_TYPES) {
+    if (definition[type] !== undefined) {
+      selections[type] = parseSelection(toList(definition[type]));
+    }
+  }
+
+  return {
+    name,
+    source,
+    description: typeof definition.description === 'string' ? definition.description : '',
+    selections,
+    languages: definition.languages !== undefined ? toList(definition.languages) || null : null,
+  };
+}
+
+// Profile sources in precedence order: .agents-opencode.json, the scope's
+// opencode.json ("agents-opencode".profiles), then the packaged profiles.json.
+function readProfileSources(sourceDir, paths, logWarning) {
+  const sources = readUserConfigSections(paths, logWarning)
+    .filter(function (section) { return isObject(section.settings.profiles); })
+    .map(function (section) { return { source: section.source, profiles: section.settings.profiles }; });
+
+  const packagedFile = path.join(sourceDir, PACKAGED_PROFILES_FILE);
+  if (fs.existsSync(packagedFile)) {
+    const data = readJsonFile(packagedFile, `package ${PACKAGED_PROFILES_FILE}`, logWarning);
+    if (data && isObject(data.profiles)) {
+      sources.push({ source: 'package', profiles: data.profiles });
+    }
+  }
+
+  return sources;
+}
+
+function listProfiles(sourceDir, paths, logWarning) {
+  const profiles = {};
+  for (const entry of readProfileSources(sourceDir, paths, logWarning)) {
+    for (const name of Object.keys(entry.profiles)) {
+      if (!profiles[name]) {
+        profiles[name] = { name, source: entry.source, definition: entry.profiles[name] };
+      }
+    }
+  }
+  return profiles;
+}
+
+function resolveProfile(name, sourceDir, paths, logWarning) {
+  const profiles = listProfiles(sourceDir, paths, logWarning);
+  const match = profiles[name];
+  if (!match) {
+    const available = Object.keys(profiles).sort();
+    throw new Error(`Unknown profile "${name}". Available: ${available.length > 0 ? available.join(', ') : '(none)'}`);
+  }
+  return normalizeProfile(name, match.definition, match.source);
+}
+
+module.exports = {
+  PACKAGED_PROFILES_FILE,
+  listProfiles,
+  resolveProfile,
+};
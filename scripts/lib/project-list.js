@@ -0,0 +1,128 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Directories never descended into by "**".
+const IGNORED_DIRS = new Set(['node_modules', '.git']);
+
+function hasGlob(value) {
+  return /[*?]/.test(value);
+}
+
+function isDirectory(dirPath) {
+  try {
+    return fs.statSync(dirPath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function listChildDirectories(dirPath) {
+  try {
+    return fs.readdirSync(dirPath, { withFileTypes: true })
+      .filter(function (entry) { return entry.isDirectory(); })
+      .map(function (entry) { return entry.name; });
+  } catch {
+    return [];
+  }
+}
+
+function segmentToRegExp(segment) {
+  const source = segment.split('').map(function (ch) {
+    if (ch === '*') return '[^/\\\\]*';
+    if (ch === '?') return '[^/\\\\]';
+    return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`);
+}
+
+// Expand a directory glob (*, ? within a segment, ** across segments) relative
+// to baseDir. Hidden directories only match segments that start with ".".
+// Returns absolute directory paths, sorted.
+function expandDirectoryGlob(pattern, baseDir) {
+  const absolute = path.resolve(baseDir, pattern);
+  const root = path.parse(absolute).root;
+  const segments = absolute.slice(root.length).split(/[\\/]/).filter(Boolean);
+  const matches = new Set();
+
+  function walk(dir, index) {
+    if (index === segments.length) {
+      matches.add(dir);
+      return;
+    }
+    const segment = segments[index];
+    if (segment === '**') {
+      walk(dir, index + 1);
+      listChildDirectories(dir).forEach(function (child) {
+        if (!IGNORED_DIRS.has(child) && !child.startsWith('.')) {
+          walk(path.join(dir, child), index);
+        }
+      });
+      return;
+    }
+    if (!hasGlob(segment)) {
+      const next = path.join(dir, segment);
+      if (isDirectory(next)) walk(next, index + 1);
+      return;
+    }
+    const matcher = segmentToRegExp(segment);
+    listChildDirectories(dir).forEach(function (child) {
+      if ((segment.startsWith('.') || !child.startsWith('.')) && matcher.test(child)) {
+        walk(path.join(dir, child), index + 1);
+      }
+    });
+  }
+
+  walk(root, 0);
+  return Array.from(matches).sort();
+}
+
+// One entry per line; blank lines and "#" comments are ignored. Relative
+// entries resolve against the list file's directory.
+function readProjectsFile(filePath) {
+  const resolved = path.resolve(filePath);
+  let content;
+  try {
+    content = fs.readFileSync(resolved, 'utf8');
+  } catch (err) {
+    throw new Error(`Could not read project list ${resolved}: ${err.message}`);
+  }
+  return content.split(/\r?\n/)
+    .map(function (line) { return line.trim(); })
+    .filter(function (line) { return line && !line.startsWith('#'); })
+    .map(function (entry) { return { value: entry, baseDir: path.dirname(resolved) }; });
+}
+
+// Resolve --project values and --projects-from entries into unique absolute
+// directories (in the order given). `batch` is true when more than one project
+// was requested or a glob/list file was used, even if it matched one directory.
+function resolveProjectDirs(projectValues, projectsFrom, cwd) {
+  const entries = (projectValues || []).map(function (value) { return { value, baseDir: cwd }; });
+  if (projectsFrom) {
+    entries.push(...readProjectsFile(projectsFrom));
+  }
+
+  const dirs = [];
+  let batch = Boolean(projectsFrom) || entries.length > 1;
+  for (const entry of entries) {
+    if (!hasGlob(entry.value)) {
+      dirs.push(path.resolve(entry.baseDir, entry.value));
+      continue;
+    }
+    batch = true;
+    const matches = expandDirectoryGlob(entry.value, entry.baseDir);
+    if (matches.length === 0) {
+      throw new Error(`No project directories match ${entry.value}`);
+    }
+    dirs.push(...matches);
+  }
+
+  return { dirs: Array.from(new Set(dirs)), batch };
+}
+
+module.exports = {
+  expandDirectoryGlob,
+  readProjectsFile,
+  resolveProjectDirs,
+};
@@ -0,0 +1,209 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { ensureDir } = require('./file-ops.js');
+
+const BLOCK_SIZE = 512;
+
+function isInside(parentDir, candidatePath) {
+  const relative = path.relative(parentDir, candidatePath);
+  return relative === '' || (!!relative && !relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function readString(buffer, offset, length) {
+  const slice = buffer.subarray(offset, offset + length);
+  const end = slice.indexOf(0);
+  return slice.subarray(0, end === -1 ? slice.length : end).toString('utf8');
+}
+
+function readOctal(buffer, offset, length) {
+  const text = readString(buffer, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+// PAX extended headers are "<length> <key>=<value>\n" records.
+function parsePaxHeaders(body) {
+  const headers = {};
+  let position = 0;
+  while (position < body.length) {
+    const space = body.indexOf(0x20, position);
+    if (space === -1) break;
+    const length = parseInt(body.subarray(position, space).toString('utf8'), 10);
+    if (!length) break;
+    const record = body.subarray(space + 1, position + length - 1).toString('utf8');
+    const separator = record.indexOf('=');
+    if (separator !== -1) {
+      headers[record.slice(0, separator)] = record.slice(separator + 1);
+    }
+    position += length;
+  }
+  return headers;
+}
+
+// Walk the entries of an uncompressed tar buffer, resolving GNU long names and
+// PAX path headers. Returns [{ name, type, body }] for everything else.
+function readEntries(data) {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+  let paxHeaders = null;
+
+  while (offset + BLOCK_SIZE <= data.length) {
+    const header = data.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(function (byte) { return byte === 0; })) break;
+
+    const size = readOctal(header, 124, 12);
+    const type = header[156] ? String.fromCharCode(header[156]) : '0';
+    let name = readString(header, 0, 100);
+    const prefix = readString(header, 257, 6) === 'ustar' ? readString(header, 345, 155) : '';
+    if (prefix) {
+      name = `${prefix}/${name}`;
+    }
+
+    const body = data.subarray(offset + BLOCK_SIZE, offset + BLOCK_SIZE + size);
+    offset += BLOCK_SIZE + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+    if (type === 'x') {
+      paxHeaders = parsePaxHeaders(body);
+      continue;
+    }
+    if (type === 'L') {
+      longName = readString(body, 0, body.length);
+      continue;
+    }
+    if (type === 'g') continue;
+
+    if (paxHeaders && paxHeaders.path) {
+      name = paxHeaders.path;
+    } else if (longName) {
+      name = longName;
+    }
+    paxHeaders = null;
+    longName = null;
+    entries.push({ name, type, body });
+  }
+
+  return entries;
+}
+
+function isFileEntry(entry) {
+  return entry.type === '0' || entry.type === '7';
+}
+
+// Extract a gzip-compressed tar archive (npm pack output, GNU or POSIX tar)
+// into destDir. Only regular files and directories are written (links are
+// skipped) and entries escaping destDir are rejected. Returns the file names.
+function extractTarball(archivePath, destDir) {
+  const files = [];
+  for (const entry of readEntries(zlib.gunzipSync(fs.readFileSync(archivePath)))) {
+    const target = path.resolve(destDir, entry.name);
+    if (!isInside(destDir, target)) {
+      throw new Error(`Refusing to extract ${entry.name}: path escapes the destination directory.`);
+    }
+    if (entry.type === '5') {
+      ensureDir(target);
+      continue;
+    }
+    if (!isFileEntry(entry)) continue;
+    ensureDir(path.dirname(target));
+    fs.writeFileSync(target, entry.body);
+    files.push(entry.name);
+  }
+
+  return files;
+}
+
+// The regular files of a gzip-compressed tar archive, read into memory, as a
+// Map of entry name to contents.
+function readTarball(archivePath) {
+  const files = new Map();
+  readEntries(zlib.gunzipSync(fs.readFileSync(archivePath))).filter(isFileEntry).forEach(function (entry) {
+    files.set(entry.name, entry.body);
+  });
+  return files;
+}
+
+function writeString(buffer, offset, length, value) {
+  buffer.write(value, offset, Math.min(length, Buffer.byteLength(value)), 'utf8');
+}
+
+function writeOctal(buffer, offset, length, value) {
+  writeString(buffer, offset, length, `${value.toString(8).padStart(length - 1, '0')}\0`);
+}
+
+function createHeader(name, size, type, mtime, prefix) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  writeString(header, 0, 100, name);
+  writeOctal(header, 100, 8, type === '5' ? 0o755 : 0o644);
+  writeOctal(header, 108, 8, 0);
+  writeOctal(header, 116, 8, 0);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, mtime);
+  header.fill(0x20, 148, 156);
+  writeString(header, 156, 1, type);
+  writeString(header, 257, 6, 'ustar\0');
+  writeString(header, 263, 2, '00');
+  writeString(header, 345, 155, prefix || '');
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  writeString(header, 148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+  return header;
+}
+
+// "<length> path=<name>\n", where length counts the whole record.
+function createPaxRecord(key, value) {
+  const rest = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(rest);
+  while (String(length).length + Buffer.byteLength(rest) !== length) {
+    length = String(length).length + Buffer.byteLength(rest);
+  }
+  return Buffer.from(`${length}${rest}`, 'utf8');
+}
+
+function padBody(body) {
+  const remainder = body.length % BLOCK_SIZE;
+  return remainder === 0 ? body : Buffer.concat([body, Buffer.alloc(BLOCK_SIZE - remainder)]);
+}
+
+// ustar name fields hold 100 bytes, or 155 + 100 when the path splits at a "/";
+// anything longer gets a PAX path header.
+function createEntry(name, body, mtime) {
+  const blocks = [];
+  let headerName = name;
+  let prefix = '';
+  if (Buffer.byteLength(name) > 100) {
+    const split = name.lastIndexOf('/', 155);
+    if (split > 0 && Buffer.byteLength(name.slice(0, split)) <= 155 && Buffer.byteLength(name.slice(split + 1)) <= 100) {
+      prefix = name.slice(0, split);
+      headerName = name.slice(split + 1);
+    } else {
+      const pax = createPaxRecord('path', name);
+      blocks.push(createHeader(`PaxHeader/${path.posix.basename(name)}`.slice(0, 100), pax.length, 'x', mtime), padBody(pax));
+      headerName = name.slice(0, 100);
+    }
+  }
+  blocks.push(createHeader(headerName, body.length, '0', mtime, prefix), padBody(body));
+  return blocks;
+}
+
+// Write the given files (paths relative to baseDir) into a gzip-compressed tar
+// archive at archivePath. Entry names always use "/" separators.
+function createTarball(archivePath, baseDir, files) {
+  const blocks = [];
+  for (const relativePath of files) {
+    const absolutePath = path.join(baseDir, relativePath);
+    const mtime = Math.floor(fs.statSync(absolutePath).mtimeMs / 1000);
+    blocks.push(...createEntry(relativePath.split(path.sep).join('/'), fs.readFileSync(absolutePath), mtime));
+  }
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  ensureDir(path.dirname(archivePath));
+  fs.writeFileSync(archivePath, zlib.gzipSync(Buffer.concat(blocks)));
+}
+
+module.exports = {
+  extractTarball,
+  readTarball,
+  createTarball,
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ensureDir, filesEqual, listFilesRecursive } = require('./file-ops.js');
+
+const STAGING_DIR = '.staging';
+
+function isInside(parentDir, candidatePath) {
+  const relative = path.relative(parentDir, candidatePath);
+  return relative === '' || (!!relative && !relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Create dirPath and record every directory that did not exist before, so a
+// rollback can remove exactly what it created.
+function ensureDirTracked(dirPath, createdDirs) {
+  const missing = [];
+  let current = dirPath;
+  while (!fs.existsSync(current)) {
+    missing.push(current);
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+  ensureDir(dirPath);
+  missing.forEach(function (dir) { createdDirs.push(dir); });
+}
+
+function removeEmptyDirectories(dirs) {
+  const sorted = Array.from(new Set(dirs)).sort(function (a, b) { return b.length - a.length; });
+  for (const dir of sorted) {
+    try {
+      if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+        fs.rmdirSync(dir);
+      }
+    } catch {
+      // ignore cleanup errors
+    }
+  }
+}
+
+// Map every path in a scope paths object that lives under rootDir onto the
+// same relative location under stageRoot.
+function mapScopePaths(paths, stageRoot) {
+  const staged = {};
+  for (const key of Object.keys(paths)) {
+    const value = paths[key];
+    staged[key] = typeof value === 'string' && path.isAbsolute(value) && isInside(paths.rootDir, value)
+      ? path.join(stageRoot, path.relative(paths.rootDir, value))
+      : value;
+  }
+  return staged;
+}
+
+// Stage an install next to its target: the files in `footprint` (paths relative
+// to rootDir) are copied into <opencodeDir>/.staging/<id>/, the installer writes
+// against the returned staged paths, and commit() renames the results into
+// place. Every committed step is journaled so rollback() can restore the
+// previous bytes from the backup session.
+function createStaging(paths, footprint) {
+  const createdDirs = [];
+  const stageRoot = path.join(paths.opencodeDir, STAGING_DIR, `${Date.now()}-${process.pid}`);
+  ensureDirTracked(stageRoot, createdDirs);
+
+  const staged = new Set();
+  for (const relativePath of footprint) {
+    const target = path.join(paths.rootDir, relativePath);
+    if (!isInside(paths.rootDir, target) || !fs.existsSync(target) || !fs.statSync(target).isFile()) {
+      continue;
+    }
+    const stagedPath = path.join(stageRoot, relativePath);
+    ensureDir(path.dirname(stagedPath));
+    fs.copyFileSync(target, stagedPath);
+    staged.add(relativePath);
+  }
+
+  function rollback(journal, backupSession) {
+    for (const entry of journal.slice().reverse()) {
+      const target = path.join(paths.rootDir, entry.path);
+      if (entry.existed) {
+        ensureDir(path.dirname(target));
+        fs.copyFileSync(backupSession.getBackupPath(entry.path), target);
+      } else if (fs.existsSync(target)) {
+        fs.unlinkSync(target);
+      }
+    }
+    removeEmptyDirectories(createdDirs);
+  }
+
+  // lastPaths are committed after everything else (e.g. the manifest), so an
+  // interrupted commit never leaves a manifest describing files not yet in place.
+  function commit(backupSession, lastPaths) {
+    const last = new Set(lastPaths || []);
+    const changes = new Set(staged);
+    listFilesRecursive(stageRoot).forEach(function (relativePath) { changes.add(relativePath); });
+    const ordered = Array.from(changes).sort(function (a, b) {
+      return (last.has(a) - last.has(b)) || (a < b ? -1 : (a > b ? 1 : 0));
+    });
+
+    const journal = [];
+    const touchedDirs = [];
+    try {
+      for (const relativePath of ordered) {
+        const stagedPath = path.join(stageRoot, relativePath);
+        const target = path.join(paths.rootDir, relativePath);
+        const targetExists = fs.existsSync(target);
+
+        if (fs.existsSync(stagedPath)) {
+          if (targetExists && filesEqual(stagedPath, target)) continue;
+          if (targetExists) backupSession.backupFile(target, relativePath);
+          journal.push({ path: relativePath, existed: targetExists });
+          ensureDirTracked(path.dirname(target), createdDirs);
+          fs.renameSync(stagedPath, target);
+        } else if (targetExists && staged.has(relativePath)) {
+          backupSession.backupFile(target, relativePath);
+          journal.push({ path: relativePath, existed: true });
+          fs.unlinkSync(target);
+          touchedDirs.push(path.dirname(target));
+        }
+      }
+    } catch (err) {
+      rollback(journal, backupSession);
+      throw err;
+    }
+
+    removeEmptyDirectories(touchedDirs.filter(function (dir) { return dir !== paths.rootDir; }));
+    return journal;
+  }
+
+  function cleanup() {
+    fs.rmSync(stageRoot, { recursive: true, force: true });
+    removeEmptyDirectories([path.dirname(stageRoot)].concat(createdDirs));
+  }
+
+  return {
+    stageRoot,
+    paths: mapScopePaths(paths, stageRoot),
+    commit,
+    rollback,
+    cleanup,
+  };
+}
+
+module.exports = {
+  STAGING_DIR,
+  createStaging,
+};
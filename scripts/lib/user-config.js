@@ -0,0 +1,40 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, isObject } = require('./file-ops.js');
+const { readJsoncFile } = require('./jsonc.js');
+
+// Installer settings users keep next to a scope: .agents-opencode.json at the
+// scope root, or an "agents-opencode" section in the scope's opencode.json.
+const USER_CONFIG_FILE = '.agents-opencode.json';
+const CONFIG_SECTION_KEY = 'agents-opencode';
+
+// The installer settings of a scope in precedence order, as
+// [{ source, settings }]; missing or unreadable files are left out.
+function readUserConfigSections(paths, logWarning) {
+  const sections = [];
+
+  const userFile = path.join(paths.rootDir, USER_CONFIG_FILE);
+  if (fs.existsSync(userFile)) {
+    const data = readJsonFile(userFile, USER_CONFIG_FILE, logWarning);
+    if (isObject(data)) {
+      sections.push({ source: userFile, settings: data });
+    }
+  }
+
+  if (fs.existsSync(paths.configPath)) {
+    const config = readJsoncFile(paths.configPath, path.basename(paths.configPath), logWarning);
+    if (config && isObject(config[CONFIG_SECTION_KEY])) {
+      sections.push({ source: paths.configPath, settings: config[CONFIG_SECTION_KEY] });
+    }
+  }
+
+  return sections;
+}
+
+module.exports = {
+  USER_CONFIG_FILE,
+  CONFIG_SECTION_KEY,
+  readUserConfigSections,
+};
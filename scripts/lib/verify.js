@@ -0,0 +1,95 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { hashFile, listFilesRecursive } = require('./file-ops.js');
+
+function readVersionFile(versionPath) {
+  try {
+    return fs.readFileSync(versionPath, 'utf8').trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+// Top-level directories under the opencode dir that hold managed files
+// (agents, commands, skills, ...). Only these are scanned for extra files.
+function getManagedDirectories(paths, managedFiles) {
+  const dirs = new Set();
+  for (const managedPath of managedFiles) {
+    const parts = path.relative(paths.opencodeDir, path.join(paths.rootDir, managedPath)).split(path.sep);
+    if (parts.length > 1 && parts[0] !== '..') {
+      dirs.add(parts[0]);
+    }
+  }
+  return Array.from(dirs).sort();
+}
+
+// Compare a scope with its manifest: managed files are checked against their
+// recorded SHA-256 hashes, managed directories are scanned for files the
+// manifest does not list, and the version file must match sourceVersion.
+function verifyScope(paths, manifest) {
+  const report = {
+    scope: paths.scope,
+    rootDir: paths.rootDir,
+    manifestPath: paths.manifestPath,
+    ok: false,
+    sourceVersion: null,
+    installedVersion: null,
+    checkedFiles: 0,
+    missing: [],
+    modified: [],
+    extra: [],
+    unhashed: [],
+    errors: [],
+  };
+
+  if (!manifest || !Array.isArray(manifest.managedFiles)) {
+    report.errors.push(`No install manifest found at ${paths.manifestPath}`);
+    return report;
+  }
+
+  report.sourceVersion = manifest.sourceVersion || null;
+  report.installedVersion = readVersionFile(paths.versionPath);
+  if (report.installedVersion === null) {
+    report.errors.push(`Version file is missing: ${paths.versionPath}`);
+  } else if (report.installedVersion !== report.sourceVersion) {
+    report.errors.push(`Version file reports ${report.installedVersion} but the manifest records ${report.sourceVersion}`);
+  }
+
+  const hashes = manifest.fileHashes || {};
+  const managed = new Set(manifest.managedFiles);
+  for (const managedPath of manifest.managedFiles) {
+    const absolutePath = path.join(paths.rootDir, managedPath);
+    report.checkedFiles += 1;
+    if (!fs.existsSync(absolutePath)) {
+      report.missing.push(managedPath);
+    } else if (!hashes[managedPath]) {
+      report.unhashed.push(managedPath);
+    } else if (hashFile(absolutePath) !== hashes[managedPath]) {
+      report.modified.push(managedPath);
+    }
+  }
+
+  for (const dir of getManagedDirectories(paths, manifest.managedFiles)) {
+    const absoluteDir = path.join(paths.opencodeDir, dir);
+    if (!fs.existsSync(absoluteDir)) continue;
+    for (const relativeFile of listFilesRecursive(absoluteDir)) {
+      const managedPath = path.relative(paths.rootDir, path.join(absoluteDir, relativeFile));
+      if (!managed.has(managedPath)) {
+        report.extra.push(managedPath);
+      }
+    }
+  }
+  report.extra.sort();
+
+  report.ok = report.errors.length === 0
+    && report.missing.length === 0
+    && report.modified.length === 0
+    && report.extra.length === 0;
+  return report;
+}
+
+module.exports = {
+  verifyScope,
+};
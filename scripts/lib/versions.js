@@ -0,0 +1,107 @@
+'use strict';
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?$/;
+
+function parseVersion(text) {
+  const match = VERSION_PATTERN.exec(String(text || '').trim());
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : [],
+  };
+}
+
+function comparePrerelease(a, b) {
+  // A release sorts after any of its prereleases.
+  if (a.length === 0 || b.length === 0) return b.length - a.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i += 1) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    const aNumeric = /^\d+$/.test(a[i]);
+    const bNumeric = /^\d+$/.test(b[i]);
+    if (aNumeric && bNumeric && Number(a[i]) !== Number(b[i])) return Number(a[i]) - Number(b[i]);
+    if (aNumeric !== bNumeric) return aNumeric ? -1 : 1;
+    if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+// Returns a negative number, zero or a positive number like a sort comparator.
+function compareVersions(a, b) {
+  const left = typeof a === 'string' ? parseVersion(a) : a;
+  const right = typeof b === 'string' ? parseVersion(b) : b;
+  return (left.major - right.major)
+    || (left.minor - right.minor)
+    || (left.patch - right.patch)
+    || comparePrerelease(left.prerelease, right.prerelease);
+}
+
+// Turn a pin into inclusive/exclusive bounds. Supported forms: exact versions
+// ("2.3.2"), partial and x-ranges ("2", "2.3", "2.3.x"), caret ("^2.3.0") and
+// tilde ("~2.3.0"). Returns null for anything else.
+function parseRange(range) {
+  const text = String(range || '').trim();
+  const operator = text[0] === '^' || text[0] === '~' ? text[0] : '';
+  const body = text.slice(operator.length);
+
+  const exact = parseVersion(body);
+  if (exact && !operator) {
+    return { min: exact, max: exact, maxInclusive: true };
+  }
+
+  const partial = PARTIAL_PATTERN.exec(body);
+  if (!exact && !partial) return null;
+  const parts = exact
+    ? [exact.major, exact.minor, exact.patch]
+    : partial.slice(1, 4).map(function (part) { return part === undefined || /^[xX*]$/.test(part) ? null : Number(part); });
+  const fixed = parts.indexOf(null) === -1 ? 3 : parts.indexOf(null);
+  if (parts.slice(fixed).some(function (part) { return part !== null; })) return null;
+  if (fixed === 0) return { min: null, max: null };
+
+  const min = {
+    major: parts[0],
+    minor: parts[1] || 0,
+    patch: parts[2] || 0,
+    prerelease: exact ? exact.prerelease : [],
+  };
+  let bump;
+  if (operator === '^') {
+    // ^ keeps the first non-zero component fixed.
+    bump = parts[0] > 0 || fixed === 1 ? 0 : (parts[1] > 0 || fixed === 2 ? 1 : 2);
+  } else if (operator === '~') {
+    bump = fixed === 1 ? 0 : 1;
+  } else {
+    bump = fixed - 1;
+  }
+  const max = { major: 0, minor: 0, patch: 0, prerelease: ['0'] };
+  if (bump === 0) max.major = parts[0] + 1;
+  if (bump === 1) Object.assign(max, { major: parts[0], minor: parts[1] + 1 });
+  if (bump === 2) Object.assign(max, { major: parts[0], minor: parts[1], patch: parts[2] + 1 });
+  return { min, max, maxInclusive: false };
+}
+
+function isValidRange(range) {
+  return parseRange(range) !== null;
+}
+
+function satisfiesRange(version, range) {
+  const parsed = parseVersion(version);
+  const bounds = parseRange(range);
+  if (!parsed || !bounds) return false;
+  if (bounds.min && compareVersions(parsed, bounds.min) < 0) return false;
+  if (bounds.max) {
+    const upper = compareVersions(parsed, bounds.max);
+    if (bounds.maxInclusive ? upper > 0 : upper >= 0) return false;
+  }
+  return true;
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  isValidRange,
+  satisfiesRange,
+};
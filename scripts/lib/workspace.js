@@ -0,0 +1,167 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, isObject } = require('./file-ops.js');
+const { expandDirectoryGlob } = require('./project-list.js');
+
+const SCAN_DEPTH = 4;
+const SCAN_IGNORED_DIRS = new Set(['node_modules', '.git', 'dist', 'build', '.nx']);
+
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+function stripQuotes(value) {
+  return value.trim().replace(/^['"]|['"]$/g, '');
+}
+
+// package.json "workspaces" (npm, yarn) as an array or { packages: [] }.
+function readPackageJsonWorkspaces(rootDir) {
+  const pkg = readJsonFile(path.join(rootDir, 'package.json'));
+  if (!isObject(pkg) || !pkg.workspaces) return null;
+  const patterns = Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces.packages;
+  return Array.isArray(patterns) ? patterns.filter(function (item) { return typeof item === 'string'; }) : null;
+}
+
+// The "packages:" list of pnpm-workspace.yaml, as a block list or a flow
+// sequence (packages: ['apps/*', 'packages/*']).
+function readPnpmWorkspaces(rootDir) {
+  const content = readText(path.join(rootDir, 'pnpm-workspace.yaml'));
+  if (content === null) return null;
+  const flow = /^packages\s*:\s*\[([^\]]*)\]/m.exec(content);
+  if (flow) {
+    return flow[1].split(',').map(function (item) { return stripQuotes(item.replace(/#.*$/, '')); }).filter(Boolean);
+  }
+  const patterns = [];
+  let inPackages = false;
+  for (const line of content.split(/\r?\n/)) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (!inPackages || !line.trim() || line.trim().startsWith('#')) continue;
+    const item = /^\s+-\s*(.+?)\s*(#.*)?$/.exec(line);
+    if (!item) break;
+    patterns.push(stripQuotes(item[1]));
+  }
+  return patterns;
+}
+
+// go.work "use" directives, single-line or block form.
+function readGoWorkspaces(rootDir) {
+  const content = readText(path.join(rootDir, 'go.work'));
+  if (content === null) return null;
+  const patterns = [];
+  const block = /^use\s*\(([\s\S]*?)\)/gm;
+  let match;
+  while ((match = block.exec(content)) !== null) {
+    match[1].split(/\r?\n/).map(function (line) { return line.replace(/\/\/.*$/, '').trim(); })
+      .filter(Boolean)
+      .forEach(function (entry) { patterns.push(stripQuotes(entry)); });
+  }
+  const single = /^use\s+([^\s(]+)/gm;
+  while ((match = single.exec(content)) !== null) {
+    patterns.push(stripQuotes(match[1]));
+  }
+  return patterns;
+}
+
+// Cargo.toml [workspace] members (and exclude) arrays.
+function readCargoWorkspaces(rootDir) {
+  const content = readText(path.join(rootDir, 'Cargo.toml'));
+  if (content === null) return null;
+  const section = /^\[workspace\]\s*$([\s\S]*?)(?=^\[|(?![\s\S]))/m.exec(content);
+  if (!section) return null;
+  const readArray = function (key) {
+    const match = new RegExp(`^${key}\\s*=\\s*\\[([\\s\\S]*?)\\]`, 'm').exec(section[1]);
+    return match ? (match[1].match(/"[^"]*"|'[^']*'/g) || []).map(stripQuotes) : [];
+  };
+  return readArray('members').concat(readArray('exclude').map(function (entry) { return `!${entry}`; }));
+}
+
+// Directories below rootDir holding markerFile: project.json for Nx projects,
+// turbo.json for Turborepo package configurations.
+function findMarkedDirectories(rootDir, markerFile) {
+  const found = [];
+  function walk(dir, relative, depth) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.isFile() && entry.name === markerFile && relative) {
+        found.push(relative);
+      } else if (entry.isDirectory() && depth < SCAN_DEPTH && !SCAN_IGNORED_DIRS.has(entry.name) && !entry.name.startsWith('.')) {
+        walk(path.join(dir, entry.name), relative ? `${relative}/${entry.name}` : entry.name, depth + 1);
+      }
+    }
+  }
+  walk(rootDir, '', 0);
+  return found;
+}
+
+function expandPatterns(rootDir, patterns) {
+  const included = new Set();
+  const excluded = new Set();
+  for (const pattern of patterns) {
+    const negated = pattern.startsWith('!');
+    const target = negated ? excluded : included;
+    const body = (negated ? pattern.slice(1) : pattern).replace(/\/+$/, '') || '.';
+    expandDirectoryGlob(body, rootDir).forEach(function (dir) { target.add(dir); });
+  }
+  return Array.from(included)
+    .filter(function (dir) { return !excluded.has(dir) && dir !== path.resolve(rootDir); })
+    .map(function (dir) { return path.relative(rootDir, dir).split(path.sep).join('/'); });
+}
+
+// Detect npm/yarn/pnpm workspaces, Nx and Turborepo configs, Go workspaces and
+// Cargo workspaces at rootDir. Returns { tools, packages } with package paths
+// relative to rootDir (POSIX separators, sorted), or null when rootDir is not
+// a workspace root.
+function detectWorkspace(rootDir) {
+  const tools = [];
+  const packages = new Set();
+  const addPackages = function (tool, patterns) {
+    if (!patterns) return;
+    tools.push(tool);
+    expandPatterns(rootDir, patterns).forEach(function (dir) { packages.add(dir); });
+  };
+
+  const pnpmPatterns = readPnpmWorkspaces(rootDir);
+  const packageJsonPatterns = readPackageJsonWorkspaces(rootDir);
+  if (pnpmPatterns) {
+    addPackages('pnpm', pnpmPatterns);
+  } else if (packageJsonPatterns) {
+    addPackages(fs.existsSync(path.join(rootDir, 'yarn.lock')) ? 'yarn' : 'npm', packageJsonPatterns);
+  }
+  if (fs.existsSync(path.join(rootDir, 'nx.json'))) {
+    tools.push('nx');
+    findMarkedDirectories(rootDir, 'project.json').forEach(function (dir) { packages.add(dir); });
+  }
+  if (fs.existsSync(path.join(rootDir, 'turbo.json'))) {
+    // Turborepo takes its packages from the package manager workspaces read
+    // above; without those, fall back to packages carrying their own turbo.json.
+    tools.push('turbo');
+    if (!pnpmPatterns && !packageJsonPatterns) {
+      findMarkedDirectories(rootDir, 'turbo.json').forEach(function (dir) { packages.add(dir); });
+    }
+  }
+  addPackages('go', readGoWorkspaces(rootDir));
+  addPackages('cargo', readCargoWorkspaces(rootDir));
+
+  if (tools.length === 0) {
+    return null;
+  }
+  return { tools, packages: Array.from(packages).sort() };
+}
+
+module.exports = {
+  detectWorkspace,
+};
@@ -1,10 +1,11 @@
 #!/usr/bin/env node
 'use strict';
 
+const crypto = require('crypto');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
-const { execFileSync } = require('child_process');
+const { execFileSync, spawnSync } = require('child_process');
 
 const repoRoot = process.cwd();
 const installScript = path.join(repoRoot, 'install.js');
@@ -18,7 +19,8 @@ function assert(condition, message) {
 function runInstaller(args, options = {}) {
   const result = execFileSync('node', [installScript, ...args], {
     cwd: options.cwd || repoRoot,
-    env: { ...process.env, ...(options.env || {}) },
+    // Keep the developer's global config location out of the tests.
+    env: { ...process.env, AGENTS_OPENCODE_CONFIG_DIR: '', XDG_CONFIG_HOME: '', ...(options.env || {}) },
     encoding: 'utf8',
   });
   return result;
@@ -127,6 +129,143 @@ function testConfigMergePreservesUserData(tmpRoot) {
   assert(!('doom_loop' in (revertedConfig.permission || {})), 'Installer-added permission should be removed on uninstall');
 }
 
+function testSkippedMergeRecoversOnUpdate(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'skipped-merge');
+  createDir(projectDir);
+  const configPath = path.join(projectDir, 'opencode.json');
+  fs.writeFileSync(configPath, '{ "model": "anthropic/claude-sonnet-4-5",');
+  runInstaller(['--project', '.'], { cwd: projectDir });
+  const manifestPath = path.join(projectDir, '.opencode', '.agents-opencode-manifest.json');
+  assert(readJson(manifestPath).configPatch.skipped, 'An unparseable config should skip the merge');
+
+  const repaired = '{ "model": "anthropic/claude-sonnet-4-5" }\n';
+  fs.writeFileSync(configPath, repaired);
+  runInstaller(['--update', '--project', '.'], { cwd: projectDir });
+  const patch = readJson(manifestPath).configPatch;
+  assert(!patch.skipped && patch.addedPaths.some((entry) => entry.path.join('.') === 'permission'),
+    'A later successful merge should clear the earlier skip');
+
+  runInstaller(['--uninstall', '--project', '.'], { cwd: projectDir });
+  assert(JSON.stringify(readJson(configPath)) === JSON.stringify(JSON.parse(repaired)), 'Uninstall should remove the keys the later merge added');
+}
+
+function testJsoncConfigPreservesFormatting(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'jsonc-config');
+  createDir(projectDir);
+  const configPath = path.join(projectDir, 'opencode.jsonc');
+  const original = [
+    '{',
+    '\t// Team defaults — keep the model pinned',
+    '\t"model": "anthropic/claude-sonnet-4-5",',
+    '\t"permission": {',
+    '\t\t"bash": "ask", /* reviewed */',
+    '\t},',
+    '}',
+    '',
+  ].join('\n');
+  fs.writeFileSync(configPath, original);
+
+  runInstaller(['--project', '.'], { cwd: projectDir });
+  assert(!fs.existsSync(path.join(projectDir, 'opencode.json')), 'An existing opencode.jsonc should be edited instead of creating opencode.json');
+  const installed = fs.readFileSync(configPath, 'utf8');
+  assert(installed.includes('\t// Team defaults — keep the model pinned\n') && installed.includes('"bash": "ask", /* reviewed */'),
+    'Comments should survive the merge');
+  assert(installed.includes('\t\t"doom_loop": "deny",\n'), 'Installer keys should be inserted with the file\'s indentation and comma style');
+  const manifest = readJson(path.join(projectDir, '.opencode', '.agents-opencode-manifest.json'));
+  assert(manifest.configPatch.addedPaths.some((entry) => entry.path.join('.') === 'permission.doom_loop') && !manifest.configPatch.skipped,
+    'JSONC configs should no longer be skipped as invalid JSON');
+
+  runInstaller(['--uninstall', '--project', '.'], { cwd: projectDir });
+  assert(fs.readFileSync(configPath, 'utf8') === original,
+    'Uninstall should remove installer keys in place and keep the rest of the file untouched');
+
+  const crlfDir = path.join(tmpRoot, 'jsonc-config-crlf');
+  createDir(crlfDir);
+  const crlfPath = path.join(crlfDir, 'opencode.jsonc');
+  const crlfOriginal = original.split('\n').join('\r\n');
+  fs.writeFileSync(crlfPath, crlfOriginal);
+
+  runInstaller(['--project', '.'], { cwd: crlfDir });
+  const crlfInstalled = fs.readFileSync(crlfPath, 'utf8');
+  assert(crlfInstalled.includes('\t\t"doom_loop": "deny",\r\n') && crlfInstalled.includes('"plugin": [\r\n'),
+    'Installer keys should be inserted with the file\'s CRLF line endings');
+  assert(!/[^\r]\n/.test(crlfInstalled), 'A CRLF config should not end up with mixed line endings');
+
+  runInstaller(['--uninstall', '--project', '.'], { cwd: crlfDir });
+  assert(fs.readFileSync(crlfPath, 'utf8') === crlfOriginal, 'Uninstall should restore a CRLF config byte for byte');
+}
+
+function testPluginEntriesLifecycle(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'plugin-entries');
+  createDir(projectDir);
+  const configPath = path.join(projectDir, 'opencode.json');
+  const manifestPath = path.join(projectDir, '.opencode', '.agents-opencode-manifest.json');
+  writeJson(configPath, { plugin: ['user-plugin'] });
+
+  runInstaller(['--project', '.'], { cwd: projectDir });
+  assert(JSON.stringify(readJson(configPath).plugin) === JSON.stringify(['user-plugin', 'agents-opencode']),
+    'Installer plugin entry should be appended after user plugins');
+  assert(JSON.stringify(readJson(manifestPath).configPatch.addedArrayItems) === JSON.stringify([{ path: ['plugin'], items: ['agents-opencode'] }]),
+    'Manifest should record the added plugin entry');
+
+  runInstaller(['--update', '--project', '.'], { cwd: projectDir });
+  assert(readJson(manifestPath).configPatch.addedArrayItems[0].items.includes('agents-opencode'),
+    'Update should keep the plugin entry recorded by the earlier install');
+
+  const plan = JSON.parse(runInstaller(['--uninstall', '--dry-run', '--json', '--project', '.'], { cwd: projectDir }));
+  assert(JSON.stringify(plan.plans[0].config.removeArrayItems) === JSON.stringify([{ path: 'plugin', items: ['agents-opencode'] }]),
+    'Uninstall dry-run should list the plugin entries it would remove');
+
+  runInstaller(['--uninstall', '--project', '.'], { cwd: projectDir });
+  assert(JSON.stringify(readJson(configPath)) === JSON.stringify({ plugin: ['user-plugin'] }),
+    'Uninstall should remove only the installer plugin entry');
+
+  // A config created by the installer is kept when the user has added to it.
+  const createdDir = path.join(tmpRoot, 'plugin-entries-created');
+  createDir(createdDir);
+  const createdConfigPath = path.join(createdDir, 'opencode.json');
+  runInstaller(['--project', '.'], { cwd: createdDir });
+  const created = readJson(createdConfigPath);
+  created.model = 'anthropic/claude-sonnet-4-5';
+  created.plugin.push('user-plugin');
+  writeJson(createdConfigPath, created);
+
+  runInstaller(['--uninstall', '--project', '.'], { cwd: createdDir });
+  assert(JSON.stringify(readJson(createdConfigPath)) === JSON.stringify({ plugin: ['user-plugin'], model: 'anthropic/claude-sonnet-4-5' }),
+    'Uninstall should strip installer entries from a created config that the user extended');
+}
+
+function testConfigConflictsAndEnforcedDefaults(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'config-conflicts');
+  createDir(projectDir);
+  const configPath = path.join(projectDir, 'opencode.json');
+  const manifestPath = path.join(projectDir, '.opencode', '.agents-opencode-manifest.json');
+  const userConfig = { permission: { external_directory: 'allow', doom_loop: 'ask', bash: 'allow' } };
+  writeJson(configPath, userConfig);
+
+  const installLog = runInstaller(['--project', '.'], { cwd: projectDir });
+  assert(/permission\.external_directory\s+allow\s+deny/.test(installLog) && /permission\.doom_loop\s+ask\s+deny/.test(installLog),
+    'Install should print a table of values weaker than the package defaults');
+  assert(!installLog.includes('permission.bash'), 'Keys the package does not set should not be reported');
+  assert(readJson(configPath).permission.external_directory === 'allow', 'Conflicting user values should be kept without --enforce-defaults');
+
+  const plan = JSON.parse(runInstaller(['--update', '--enforce-defaults', '--dry-run', '--json', '--project', '.'], { cwd: projectDir }));
+  assert(JSON.stringify(plan.plans[0].config.enforcePaths) === JSON.stringify(['permission.external_directory', 'permission.doom_loop']),
+    'Dry-run should list the values --enforce-defaults would tighten');
+
+  runInstaller(['--update', '--enforce-defaults', '--project', '.'], { cwd: projectDir });
+  const enforced = readJson(configPath).permission;
+  assert(enforced.external_directory === 'deny' && enforced.doom_loop === 'deny' && enforced.bash === 'allow',
+    '--enforce-defaults should tighten only the conflicting values');
+  const updateSession = listProjectBackupSessions(projectDir).find((dir) => dir.includes('--update--'));
+  assert(updateSession && readJson(path.join(updateSession, 'opencode.json')).permission.external_directory === 'allow',
+    'The config should be backed up before it is tightened');
+  assert(readJson(manifestPath).configPatch.enforcedPaths.length === 2, 'Manifest should record the tightened values');
+
+  runInstaller(['--uninstall', '--project', '.'], { cwd: projectDir });
+  assert(JSON.stringify(readJson(configPath)) === JSON.stringify(userConfig), 'Uninstall should restore the values the user had');
+}
+
 function testGlobalAndProjectLifecycle(tmpRoot) {
   const homeDir = path.join(tmpRoot, 'home');
   const projectDir = path.join(tmpRoot, 'both-scopes');
@@ -155,6 +294,979 @@ function testGlobalAndProjectLifecycle(tmpRoot) {
   assert(!fs.existsSync(projectManifest), 'Project manifest should be removed after uninstall --all');
 }
 
+function testRestoreReplaysBackupSession(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'restore-project');
+  const otherDir = path.join(tmpRoot, 'restore-other');
+  createDir(projectDir);
+  createDir(otherDir);
+
+  runInstaller(['--project', '.'], { cwd: projectDir });
+
+  const reviewAgent = path.join(projectDir, '.opencode', 'agents', 'review.md');
+  const localContent = fs.readFileSync(reviewAgent, 'utf8') + '\n<!-- local edit -->\n';
+  fs.writeFileSync(reviewAgent, localContent);
+
+  runInstaller(['--update', '--force', '--project', '.'], { cwd: projectDir });
+  assert(fs.readFileSync(reviewAgent, 'utf8') !== localContent, 'Forced update should overwrite the locally edited agent');
+
+  const listing = runInstaller(['--list-backups', '--project', '.'], { cwd: projectDir });
+  const updateSession = path.basename(listProjectBackupSessions(projectDir).find((dir) => dir.includes('--update--')));
+  assert(listing.includes(updateSession) && listing.includes('operation=update'), 'List should show the update backup session');
+
+  runInstaller(['--restore', updateSession, '--project', '.'], { cwd: projectDir });
+  assert(fs.readFileSync(reviewAgent, 'utf8') === localContent, 'Restore should bring back the backed-up agent content');
+
+  const restoreSession = listProjectBackupSessions(projectDir).find((dir) => dir.includes('--restore--'));
+  assert(restoreSession && hasBackedUpFile(restoreSession, path.join('.opencode', 'agents', 'review.md')), 'Restore should back up the files it overwrites');
+
+  const foreignBackup = path.join(otherDir, '.opencode', '.backups', updateSession);
+  fs.cpSync(path.join(projectDir, '.opencode', '.backups', updateSession), foreignBackup, { recursive: true });
+  let refused = false;
+  try {
+    runInstaller(['--restore', updateSession, '--project', '.'], { cwd: otherDir });
+  } catch (err) {
+    refused = String(err.stdout).includes('refusing to restore');
+  }
+  assert(refused, 'Restore should refuse a backup whose rootDir does not match the target scope');
+}
+
+function testBackupManagement(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'backups-project');
+  createDir(projectDir);
+  runInstaller(['--project', '.'], { cwd: projectDir });
+  for (let i = 0; i < 3; i += 1) {
+    runInstaller(['--update', '--force', '--project', '.'], { cwd: projectDir });
+  }
+
+  const listing = JSON.parse(runInstaller(['--backups', 'list', '--project', '.', '--json'], { cwd: projectDir }));
+  const scopeListing = listing.scopes[0];
+  assert(scopeListing.sessions.length === 3 && scopeListing.sessions.every((session) => session.bytes > 0), 'List should report every session with its size');
+  assert(scopeListing.retention.keep === 10 && scopeListing.retention.maxAgeDays === 30, 'List should report the default retention');
+
+  const newest = scopeListing.sessions[0];
+  const shown = JSON.parse(runInstaller(['--backups', 'show', '--project', '.', '--json'], { cwd: projectDir }));
+  assert(shown.session.backupId === newest.backupId, 'Show should default to the newest session');
+  assert(shown.session.files.every((file) => file.sha256 && file.bytes !== null), 'Show should list each file with its size and hash');
+
+  const verified = JSON.parse(runInstaller(['--backups', 'verify', '--project', '.', '--json'], { cwd: projectDir }));
+  assert(verified.verified === true, 'Untouched backups should verify');
+
+  const tamperedFile = path.join(projectDir, '.opencode', '.backups', newest.backupId, shown.session.files[0].path);
+  fs.appendFileSync(tamperedFile, 'tampered\n');
+  let report = null;
+  try {
+    runInstaller(['--backups', 'verify', newest.backupId, '--project', '.', '--json'], { cwd: projectDir });
+  } catch (err) {
+    report = JSON.parse(err.stdout);
+  }
+  assert(report && report.verified === false, '--backups verify should exit non-zero when a backed-up file changed');
+  assert(report.scopes[0].sessions[0].modified.includes(shown.session.files[0].path), 'The changed file should be reported');
+
+  const preview = JSON.parse(runInstaller(['--backups', 'prune', '--keep-backups', '1', '--dry-run', '--project', '.', '--json'], { cwd: projectDir }));
+  assert(preview.scopes[0].pruned.length === 2 && listProjectBackupSessions(projectDir).length === 3, 'A dry-run prune should only report');
+
+  writeJson(path.join(projectDir, '.agents-opencode.json'), { backups: { keep: 2 } });
+  runInstaller(['--backups', 'prune', '--project', '.'], { cwd: projectDir });
+  assert(listProjectBackupSessions(projectDir).length === 2, 'Prune should apply the configured retention');
+
+  const output = runInstaller(['--backups', 'prune', '--keep-backups', '1', '--project', '.'], { cwd: projectDir });
+  const remaining = listProjectBackupSessions(projectDir);
+  assert(output.includes('Pruned 1 backup session(s)'), 'Prune should report what it removed');
+  assert(remaining.length === 1 && path.basename(remaining[0]) === newest.backupId, '--keep-backups should override the configured retention');
+
+  const globalDir = path.join(tmpRoot, 'backups-global');
+  const env = { AGENTS_OPENCODE_CONFIG_DIR: globalDir };
+  runInstaller(['--global'], { env });
+  runInstaller(['--update', '--force', '--global'], { env });
+  runInstaller(['--update', '--force', '--global'], { env });
+  const globalSessions = () => fs.readdirSync(path.join(globalDir, '.backups')).length;
+  assert(globalSessions() === 2, 'Forced global updates should leave two backup sessions');
+  const pruned = JSON.parse(runInstaller(['--backups', 'prune', '--keep-backups', '1', '--json'], { cwd: projectDir, env }));
+  assert(pruned.scopes.length === 1 && pruned.scopes[0].scope === 'project' && globalSessions() === 2,
+    'Prune without a scope flag should stay on the project scope');
+  const listed = JSON.parse(runInstaller(['--backups', 'list', '--json'], { cwd: projectDir, env }));
+  assert(listed.scopes.map((entry) => entry.scope).join(',') === 'global,project', 'List should still cover both scopes by default');
+}
+
+function testCompressedBackupSessions(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'archive-backups-project');
+  createDir(projectDir);
+  runInstaller(['--project', '.'], { cwd: projectDir });
+
+  const reviewAgent = path.join(projectDir, '.opencode', 'agents', 'review.md');
+  const localContent = fs.readFileSync(reviewAgent, 'utf8') + '\n<!-- local edit -->\n';
+  fs.writeFileSync(reviewAgent, localContent);
+  runInstaller(['--update', '--force', '--backup-format', 'tar.gz', '--project', '.'], { cwd: projectDir });
+
+  const backupRoot = path.join(projectDir, '.opencode', '.backups');
+  const archives = fs.readdirSync(backupRoot);
+  assert(archives.length === 1 && archives[0].endsWith('--update--project.tar.gz'), 'A tar.gz session should be a single archive file');
+  const listing = execFileSync('tar', ['-tzf', path.join(backupRoot, archives[0])], { encoding: 'utf8' });
+  assert(listing.includes('backup-manifest.json') && listing.includes('.opencode/agents/review.md'), 'The archive should embed the backup manifest next to the files');
+
+  const sessions = JSON.parse(runInstaller(['--backups', 'list', '--project', '.', '--json'], { cwd: projectDir })).scopes[0].sessions;
+  assert(sessions.length === 1 && sessions[0].format === 'tar.gz' && sessions[0].files > 0, 'List should read the manifest from the archive');
+  const verified = JSON.parse(runInstaller(['--backups', 'verify', '--project', '.', '--json'], { cwd: projectDir }));
+  assert(verified.verified === true, 'An intact archive should verify');
+
+  runInstaller(['--restore', '--project', '.'], { cwd: projectDir });
+  assert(fs.readFileSync(reviewAgent, 'utf8') === localContent, 'Restore should read files from the archive');
+  assert(fs.readdirSync(backupRoot).some((name) => name.includes('--restore--') && !name.endsWith('.tar.gz')), 'Sessions default to the directory layout');
+
+  fs.writeFileSync(path.join(backupRoot, archives[0]), 'not a gzip archive');
+  let report = null;
+  try {
+    runInstaller(['--backups', 'verify', '--project', '.', '--json'], { cwd: projectDir });
+  } catch (err) {
+    report = JSON.parse(err.stdout);
+  }
+  assert(report && report.verified === false, 'A damaged archive should fail verification');
+
+  // Without a readable manifest the archive is dated by its mtime.
+  fs.utimesSync(path.join(backupRoot, archives[0]), new Date('2020-01-01'), new Date('2020-01-01'));
+  runInstaller(['--backups', 'prune', '--keep-backups', '1', '--project', '.'], { cwd: projectDir });
+  assert(!fs.existsSync(path.join(backupRoot, archives[0])), 'Prune should remove archived sessions');
+}
+
+function testDryRunPlansWithoutWriting(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'dry-run-project');
+  createDir(projectDir);
+
+  const freshPlan = JSON.parse(runInstaller(['--project', '.', '--dry-run', '--json'], { cwd: projectDir }));
+  assert(fs.readdirSync(projectDir).length === 0, 'Dry-run install should not write any files');
+  const freshScope = freshPlan.plans[0];
+  assert(freshScope.operation === 'install' && freshScope.scope === 'project', 'Dry-run plan should describe the project install');
+  assert(freshScope.files.copy.includes(path.join('.opencode', 'agents', 'review.md')), 'Dry-run plan should list files to copy');
+  assert(freshScope.config.action === 'create', 'Dry-run plan should report config creation');
+  assert(freshScope.manifest.action === 'create', 'Dry-run plan should report manifest creation');
+
+  runInstaller(['--project', '.'], { cwd: projectDir });
+  const reviewAgent = path.join(projectDir, '.opencode', 'agents', 'review.md');
+  fs.appendFileSync(reviewAgent, '\n<!-- local edit -->\n');
+  const editedContent = fs.readFileSync(reviewAgent, 'utf8');
+
+  const updatePlan = JSON.parse(runInstaller(['--update', '--project', '.', '--dry-run', '--json'], { cwd: projectDir })).plans[0];
+  assert(fs.readFileSync(reviewAgent, 'utf8') === editedContent, 'Dry-run update should not overwrite files');
+  assert(updatePlan.files.copy.length === 0, 'Dry-run update should not plan to copy a locally modified file');
+  assert(updatePlan.files.keepLocal.includes(path.join('.opencode', 'agents', 'review.md')), 'Dry-run update should list locally modified files to keep');
+
+  const forcedPlan = JSON.parse(runInstaller(['--update', '--force', '--project', '.', '--dry-run', '--json'], { cwd: projectDir })).plans[0];
+  assert(forcedPlan.files.copy.length === 1, 'Forced dry-run update should only plan to copy the changed file');
+  assert(forcedPlan.files.backup.includes(path.join('.opencode', 'agents', 'review.md')), 'Forced dry-run update should list files to back up');
+
+  const uninstallText = runInstaller(['--uninstall', '--project', '.', '--dry-run'], { cwd: projectDir });
+  assert(uninstallText.includes('Files to remove') && uninstallText.includes('no files were written'), 'Dry-run uninstall should print a readable plan');
+  assert(fs.existsSync(path.join(projectDir, '.opencode', '.agents-opencode-manifest.json')), 'Dry-run uninstall should keep the manifest');
+  assert(listProjectBackupSessions(projectDir).length === 0, 'Dry-run should not create backup sessions');
+}
+
+function sha256(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function testUpdatePreservesLocallyModifiedFiles(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'drift-project');
+  createDir(projectDir);
+
+  runInstaller(['--project', '.'], { cwd: projectDir });
+
+  const manifestPath = path.join(projectDir, '.opencode', '.agents-opencode-manifest.json');
+  const manifest = readJson(manifestPath);
+  const localPath = path.join('.opencode', 'agents', 'review.md');
+  const upstreamPath = path.join('.opencode', 'agents', 'docs.md');
+  const conflictPath = path.join('.opencode', 'agents', 'planner.md');
+  assert(manifest.fileHashes[localPath] === sha256(path.join(projectDir, localPath)), 'Manifest should record per-file content hashes');
+
+  // Local edit only: package copy still matches the recorded hash.
+  fs.appendFileSync(path.join(projectDir, localPath), '\n<!-- team tweak -->\n');
+  const localContent = fs.readFileSync(path.join(projectDir, localPath), 'utf8');
+
+  // Upstream change only: installed file matches the recorded hash, package differs.
+  fs.appendFileSync(path.join(projectDir, upstreamPath), '\n<!-- older release -->\n');
+  manifest.fileHashes[upstreamPath] = sha256(path.join(projectDir, upstreamPath));
+
+  // Both changed: installed file, recorded hash and package all differ.
+  fs.appendFileSync(path.join(projectDir, conflictPath), '\n<!-- team tweak -->\n');
+  const conflictContent = fs.readFileSync(path.join(projectDir, conflictPath), 'utf8');
+  manifest.fileHashes[conflictPath] = 'stale-hash-from-older-release';
+  writeJson(manifestPath, manifest);
+
+  const output = runInstaller(['--update', '--project', '.'], { cwd: projectDir });
+  assert(fs.readFileSync(path.join(projectDir, localPath), 'utf8') === localContent, 'Update should keep locally modified files');
+  assert(sha256(path.join(projectDir, upstreamPath)) === sha256(path.join(repoRoot, upstreamPath)), 'Update should apply upstream changes to pristine files');
+  assert(fs.readFileSync(path.join(projectDir, conflictPath), 'utf8') === conflictContent, 'Update should keep the local side of a conflict');
+  assert(output.includes('Conflict:') && output.includes(conflictPath), 'Update should report conflicting files');
+
+  const updatedManifest = readJson(manifestPath);
+  assert(updatedManifest.fileHashes[localPath] === manifest.fileHashes[localPath], 'Kept files should retain their last installed hash');
+
+  runInstaller(['--update', '--force', '--project', '.'], { cwd: projectDir });
+  assert(sha256(path.join(projectDir, localPath)) === sha256(path.join(repoRoot, localPath)), '--force should replace locally modified files');
+  assert(sha256(path.join(projectDir, conflictPath)) === sha256(path.join(repoRoot, conflictPath)), '--force should replace conflicting files');
+}
+
+function testOverlaysSurviveUpdates(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'overlay-project');
+  const overlayDir = path.join(projectDir, '.opencode', 'overrides', 'agents');
+  createDir(overlayDir);
+  fs.writeFileSync(path.join(overlayDir, 'review.md'), [
+    '---',
+    'temperature: 0.5',
+    'permission:',
+    '  skill:',
+    '    "python": "deny"',
+    '---',
+    '## Team Notes',
+    '',
+    'Follow the platform team review checklist.',
+    '',
+  ].join('\n'));
+
+  runInstaller(['--project', '.'], { cwd: projectDir });
+
+  const reviewAgent = path.join(projectDir, '.opencode', 'agents', 'review.md');
+  const installed = fs.readFileSync(reviewAgent, 'utf8');
+  assert(/^temperature: 0\.5$/m.test(installed), 'Overlay should patch top-level frontmatter keys');
+  assert(/^ {4}"python": "deny"$/m.test(installed), 'Overlay should patch nested permission keys');
+  assert(/^ {4}"typescript": "allow"$/m.test(installed), 'Overlay should keep unrelated nested keys');
+  assert(installed.trimEnd().endsWith('Follow the platform team review checklist.'), 'Overlay should append new body sections');
+
+  const manifestPath = path.join(projectDir, '.opencode', '.agents-opencode-manifest.json');
+  const applied = readJson(manifestPath).overlays.applied;
+  assert(applied.length === 1 && applied[0].path === path.join('agents', 'review.md'), 'Manifest should record applied overlays');
+
+  fs.writeFileSync(path.join(overlayDir, 'review.md'), '## Review Guidelines\n\nFollow the platform team guidelines.\n');
+  runInstaller(['--update', '--project', '.'], { cwd: projectDir });
+
+  const updated = fs.readFileSync(reviewAgent, 'utf8');
+  assert(!/^temperature: 0\.5$/m.test(updated), 'Removing an overlay key should restore the packaged value on update');
+  assert(!updated.includes('## Team Notes'), 'Removed overlay sections should disappear on update');
+  assert(updated.includes('## Review Guidelines\n\nFollow the platform team guidelines.\n\n## After Review'), 'Overlay sections should replace matching headings in place');
+}
+
+function testGlobalConfigDirResolution(tmpRoot) {
+  const homeDir = path.join(tmpRoot, 'config-dir-home');
+  const xdgDir = path.join(tmpRoot, 'xdg');
+  const envDir = path.join(tmpRoot, 'env-config');
+  const flagDir = path.join(tmpRoot, 'flag-config');
+  createDir(homeDir);
+  const manifestIn = (dir) => path.join(dir, '.agents-opencode-manifest.json');
+
+  const env = { HOME: homeDir, USERPROFILE: homeDir, XDG_CONFIG_HOME: xdgDir };
+  runInstaller(['--global'], { env });
+  assert(fs.existsSync(manifestIn(path.join(xdgDir, 'opencode'))), 'XDG_CONFIG_HOME should move the global root');
+  assert(!fs.existsSync(path.join(homeDir, '.config')), 'The default location should be unused when XDG_CONFIG_HOME is set');
+
+  env.AGENTS_OPENCODE_CONFIG_DIR = envDir;
+  runInstaller(['--global'], { env });
+  assert(fs.existsSync(manifestIn(envDir)), 'AGENTS_OPENCODE_CONFIG_DIR should take precedence over XDG_CONFIG_HOME');
+
+  runInstaller(['--global', '--config-dir', flagDir], { env });
+  assert(fs.existsSync(manifestIn(flagDir)), '--config-dir should take precedence over the environment');
+
+  const status = runInstaller(['--status', '--config-dir', flagDir], { env });
+  assert(status.includes(`Global (${flagDir}): installed`) && status.includes('source: --config-dir'),
+    '--status should show the resolved global directory and its source');
+  const envStatus = runInstaller(['--status'], { env });
+  assert(envStatus.includes(`Global (${envDir})`) && envStatus.includes('source: AGENTS_OPENCODE_CONFIG_DIR'),
+    '--status should name the environment variable in use');
+}
+
+function testComponentSelection(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'component-project');
+  createDir(projectDir);
+
+  runInstaller(['--project', '.', '--agents', 'orchestrator,codebase,review', '--skills', '!python'], { cwd: projectDir });
+
+  const opencodeDir = path.join(projectDir, '.opencode');
+  assert(fs.existsSync(path.join(opencodeDir, 'agents', 'review.md')), 'Selected agents should be installed');
+  assert(!fs.existsSync(path.join(opencodeDir, 'agents', 'docs.md')), 'Unselected agents should not be installed');
+  assert(!fs.existsSync(path.join(opencodeDir, 'skills', 'python')), 'Excluded skills should not be installed');
+  assert(fs.existsSync(path.join(opencodeDir, 'skills', 'typescript', 'SKILL.md')), 'Skills not excluded should be installed');
+  assert(fs.existsSync(path.join(opencodeDir, 'commands', 'code-review.md')), 'Commands for selected agents should be installed');
+  assert(!fs.existsSync(path.join(opencodeDir, 'commands', 'api-docs.md')), 'Commands bound to unselected agents should be skipped');
+
+  const orchestrator = fs.readFileSync(path.join(opencodeDir, 'agents', 'orchestrator.md'), 'utf8');
+  assert(!/^ {4}"python": "allow"$/m.test(orchestrator), 'Excluded skills should be pruned from permission.skill');
+  assert(!/^ {4}"docs": "allow"$/m.test(orchestrator), 'Unselected agents should be pruned from permission.task');
+  assert(/^ {4}"codebase": "allow"$/m.test(orchestrator), 'Selected agents should stay in permission.task');
+  assert(/^ {4}"general": "allow"$/m.test(orchestrator), 'Built-in agents should stay in permission.task');
+
+  const manifestPath = path.join(opencodeDir, '.agents-opencode-manifest.json');
+  const manifest = readJson(manifestPath);
+  assert(manifest.components.skills.exclude[0] === 'python', 'Manifest should record the component selection');
+  assert(!manifest.managedFiles.includes(path.join('.opencode', 'agents', 'docs.md')), 'Manifest should only list selected files');
+
+  runInstaller(['--update', '--project', '.'], { cwd: projectDir });
+  assert(!fs.existsSync(path.join(opencodeDir, 'agents', 'docs.md')), 'Update should reuse the recorded selection');
+
+  runInstaller(['--update', '--project', '.', '--agents', 'orchestrator,codebase'], { cwd: projectDir });
+  assert(!fs.existsSync(path.join(opencodeDir, 'agents', 'review.md')), 'Narrowing the selection should remove deselected agents');
+  assert(!fs.existsSync(path.join(opencodeDir, 'commands', 'code-review.md')), 'Narrowing the selection should remove their commands');
+  assert(!fs.existsSync(path.join(opencodeDir, 'skills', 'python')), 'Narrowing agents should keep the recorded skill selection');
+  const sessions = listProjectBackupSessions(projectDir);
+  assert(hasBackedUpFile(sessions[sessions.length - 1], path.join('.opencode', 'agents', 'review.md')), 'Removed agents should be backed up');
+
+  let rejected = false;
+  try {
+    runInstaller(['--project', '.', '--agents', 'nope'], { cwd: projectDir });
+  } catch (err) {
+    rejected = String(err.stdout).includes('Unknown agents: nope');
+  }
+  assert(rejected, 'Unknown component names should be rejected');
+}
+
+function testInstallProfiles(tmpRoot) {
+  const packaged = readJson(path.join(repoRoot, 'profiles.json')).profiles;
+  const planDir = path.join(tmpRoot, 'profile-plan-project');
+  createDir(planDir);
+  for (const name of Object.keys(packaged)) {
+    const output = runInstaller(['--project', '.', '--profile', name, '--dry-run', '--json'], { cwd: planDir });
+    assert(JSON.parse(output).plans[0].manifest.profile.to === name, `Packaged profile ${name} should resolve`);
+  }
+
+  const projectDir = path.join(tmpRoot, 'profile-project');
+  createDir(projectDir);
+  runInstaller(['--project', '.', '--profile', 'content'], { cwd: projectDir });
+
+  const opencodeDir = path.join(projectDir, '.opencode');
+  const manifestPath = path.join(opencodeDir, '.agents-opencode-manifest.json');
+  assert(fs.existsSync(path.join(opencodeDir, 'agents', 'blogger.md')), 'Profile agents should be installed');
+  assert(!fs.existsSync(path.join(opencodeDir, 'agents', 'codebase.md')), 'Agents outside the profile should be skipped');
+  assert(readJson(manifestPath).profile.name === 'content', 'Manifest should record the profile');
+
+  writeJson(path.join(projectDir, '.agents-opencode.json'), {
+    profiles: {
+      content: { agents: ['blogger', 'docs'] },
+      python: { agents: ['codebase', 'review'], skills: ['python'], languages: ['python'] },
+    },
+  });
+  runInstaller(['--update', '--project', '.'], { cwd: projectDir });
+  assert(!fs.existsSync(path.join(opencodeDir, 'agents', 'brutal-critic.md')), 'Update should reapply the recorded profile from user config');
+  assert(readJson(manifestPath).profile.source === path.join(projectDir, '.agents-opencode.json'), 'Manifest should record the profile source');
+
+  runInstaller(['--update', '--project', '.', '--profile', 'python', '--agents', 'codebase'], { cwd: projectDir });
+  assert(fs.existsSync(path.join(opencodeDir, 'agents', 'codebase.md')), 'Switching profiles should install the new selection');
+  assert(!fs.existsSync(path.join(opencodeDir, 'agents', 'review.md')), 'Explicit --agents should override the profile');
+  assert(!fs.existsSync(path.join(opencodeDir, 'skills', 'typescript')), 'Profile skills should apply');
+  assert(!fs.existsSync(path.join(opencodeDir, 'instructions', 'typescript-strict.instructions.md')), 'Profile languages should apply');
+
+  let rejected = false;
+  try {
+    runInstaller(['--project', '.', '--profile', 'missing'], { cwd: projectDir });
+  } catch (err) {
+    rejected = String(err.stdout).includes('Unknown profile "missing"');
+  }
+  assert(rejected, 'Unknown profiles should be rejected');
+}
+
+function testLanguageAutoDetection(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'auto-languages-project');
+  createDir(path.join(projectDir, 'api'));
+  createDir(path.join(projectDir, '.github', 'workflows'));
+  fs.writeFileSync(path.join(projectDir, 'api', 'pyproject.toml'), '[project]\nname = "api"\n');
+  writeJson(path.join(projectDir, 'package.json'), { devDependencies: { typescript: '^5.0.0' } });
+
+  const output = runInstaller(['--project', '.', '--languages', 'auto'], { cwd: projectDir });
+  assert(output.includes('python: api/pyproject.toml'), 'Auto-detection should print its evidence');
+
+  const instructionsDir = path.join(projectDir, '.opencode', 'instructions');
+  assert(fs.existsSync(path.join(instructionsDir, 'python-best-practices.instructions.md')), 'Detected languages should be kept');
+  assert(fs.existsSync(path.join(instructionsDir, 'typescript-strict.instructions.md')), 'package.json dependencies should be detected');
+  assert(!fs.existsSync(path.join(instructionsDir, 'go.instructions.md')), 'Undetected languages should be filtered');
+
+  const manifestPath = path.join(projectDir, '.opencode', '.agents-opencode-manifest.json');
+  const recorded = readJson(manifestPath).languages;
+  assert(recorded.requested === 'auto', 'Manifest should record the auto request');
+  assert(['cicd', 'node', 'python', 'typescript'].every((language) => recorded.applied.includes(language)), 'Manifest should record detected languages');
+  assert(recorded.evidence.cicd[0] === '.github/workflows/', 'Manifest should record detection evidence');
+
+  fs.writeFileSync(path.join(projectDir, 'go.mod'), 'module example.com/app\n');
+  runInstaller(['--update', '--project', '.'], { cwd: projectDir });
+  assert(fs.existsSync(path.join(instructionsDir, 'go.instructions.md')), 'Update should re-run auto-detection');
+
+  runInstaller(['--update', '--project', '.', '--languages', 'all'], { cwd: projectDir });
+  assert(fs.existsSync(path.join(instructionsDir, 'rust.instructions.md')), '--languages all should restore every language file');
+  assert(readJson(manifestPath).languages === null, '--languages all should clear the recorded filter');
+}
+
+function testLanguageFilterCoversSkills(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'language-skills-project');
+  createDir(projectDir);
+  runInstaller(['--project', '.'], { cwd: projectDir });
+
+  const opencodeDir = path.join(projectDir, '.opencode');
+  const manifestPath = path.join(opencodeDir, '.agents-opencode-manifest.json');
+  const reviewAgent = path.join(opencodeDir, 'agents', 'review.md');
+  assert(fs.existsSync(path.join(opencodeDir, 'skills', 'go', 'SKILL.md')), 'Unfiltered installs should include language skills');
+
+  runInstaller(['--update', '--project', '.', '--languages', 'python'], { cwd: projectDir });
+  assert(fs.existsSync(path.join(opencodeDir, 'skills', 'python', 'SKILL.md')), 'Skills for kept languages should stay');
+  assert(!fs.existsSync(path.join(opencodeDir, 'skills', 'go')), 'Skills for filtered languages should be removed');
+  assert(fs.existsSync(path.join(opencodeDir, 'skills', 'security-audit', 'SKILL.md')), 'Non-language skills should stay');
+
+  const review = fs.readFileSync(reviewAgent, 'utf8');
+  assert(/^ {4}"go": "deny"$/m.test(review), 'Filtered language skills should be denied in permission.skill');
+  assert(/^ {4}"python": "allow"$/m.test(review), 'Kept language skills should stay allowed');
+
+  const manifest = readJson(manifestPath);
+  const goSkillFile = path.join('.opencode', 'skills', 'go', 'SKILL.md');
+  assert(!manifest.managedFiles.includes(goSkillFile), 'managedFiles should not list filtered skills');
+  assert(!manifest.fileHashes[goSkillFile], 'fileHashes should not list filtered skills');
+  assert(manifest.fileHashes[path.join('.opencode', 'agents', 'review.md')] === sha256(reviewAgent), 'Rewritten agents should be tracked as pristine');
+
+  runInstaller(['--update', '--project', '.', '--languages', 'all'], { cwd: projectDir });
+  assert(fs.existsSync(path.join(opencodeDir, 'skills', 'go', 'SKILL.md')), 'Clearing the filter should restore language skills');
+  assert(/^ {4}"go": "allow"$/m.test(fs.readFileSync(reviewAgent, 'utf8')), 'Clearing the filter should restore skill permissions');
+}
+
+function snapshotTree(rootDir, ignored) {
+  const snapshot = {};
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const absolutePath = path.join(dir, entry.name);
+      const relativePath = path.relative(rootDir, absolutePath);
+      if (ignored.includes(relativePath)) continue;
+      if (entry.isDirectory()) {
+        snapshot[`${relativePath}/`] = 'dir';
+        walk(absolutePath);
+      } else {
+        snapshot[relativePath] = sha256(absolutePath);
+      }
+    }
+  };
+  walk(rootDir);
+  return snapshot;
+}
+
+function testFailedInstallRollsBack(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'rollback-project');
+  createDir(projectDir);
+  runInstaller(['--project', '.'], { cwd: projectDir });
+
+  const opencodeDir = path.join(projectDir, '.opencode');
+  fs.rmSync(path.join(opencodeDir, 'agents', 'review.md'));
+  fs.writeFileSync(path.join(projectDir, '.opencode-agents-version'), '0.0.1\n');
+  // A file where the go skill directory belongs makes the commit fail after earlier files were swapped in.
+  fs.rmSync(path.join(opencodeDir, 'skills', 'go'), { recursive: true });
+  fs.writeFileSync(path.join(opencodeDir, 'skills', 'go'), 'not a directory\n');
+
+  const ignored = [path.join('.opencode', '.backups')];
+  const before = snapshotTree(projectDir, ignored);
+  const sessionsBefore = listProjectBackupSessions(projectDir).length;
+
+  let failed = false;
+  try {
+    runInstaller(['--update', '--project', '.'], { cwd: projectDir });
+  } catch (err) {
+    failed = String(err.stdout).includes('was rolled back');
+  }
+  assert(failed, 'A failed commit should exit non-zero and report the rollback');
+  assert(JSON.stringify(snapshotTree(projectDir, ignored)) === JSON.stringify(before), 'Rollback should restore the scope byte-for-byte');
+  assert(!fs.existsSync(path.join(opencodeDir, 'agents', 'review.md')), 'Rollback should remove files created by the failed commit');
+  assert(listProjectBackupSessions(projectDir).length === sessionsBefore, 'Rollback should discard its backup session');
+
+  fs.rmSync(path.join(opencodeDir, 'skills', 'go'));
+  runInstaller(['--update', '--project', '.'], { cwd: projectDir });
+  assert(fs.existsSync(path.join(opencodeDir, 'agents', 'review.md')), 'A later update should succeed');
+  assert(!fs.existsSync(path.join(opencodeDir, '.staging')), 'Staging directories should be cleaned up');
+}
+
+function testScopeLock(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'lock-project');
+  createDir(projectDir);
+  const lockPath = path.join(projectDir, '.agents-opencode.lock');
+  const writeLock = (pid) => writeJson(lockPath, {
+    pid,
+    host: os.hostname(),
+    operation: 'update',
+    startedAt: new Date().toISOString(),
+  });
+
+  writeLock(process.pid);
+  let refused = false;
+  try {
+    runInstaller(['--project', '.'], { cwd: projectDir });
+  } catch (err) {
+    refused = String(err.stdout).includes(`pid ${process.pid}`) && String(err.stdout).includes('--break-lock');
+  }
+  assert(refused, 'A live lock should block the installer with a clear error');
+  assert(!fs.existsSync(path.join(projectDir, '.opencode')), 'A blocked run should not write anything');
+
+  const exited = spawnSync('node', ['-e', '']);
+  writeLock(exited.pid);
+  runInstaller(['--project', '.'], { cwd: projectDir });
+  assert(fs.existsSync(path.join(projectDir, '.opencode', 'agents', 'review.md')), 'A stale lock should be replaced');
+  assert(!fs.existsSync(lockPath), 'The lock should be released after the run');
+
+  // An empty lock may be one another run has only just created.
+  fs.writeFileSync(lockPath, '');
+  refused = false;
+  try {
+    runInstaller(['--update', '--project', '.'], { cwd: projectDir });
+  } catch (err) {
+    refused = String(err.stdout).includes('unreadable lock file');
+  }
+  assert(refused && fs.existsSync(lockPath), 'A freshly created unreadable lock should be treated as held');
+  const longAgo = new Date(Date.now() - 10 * 60 * 1000);
+  fs.utimesSync(lockPath, longAgo, longAgo);
+  runInstaller(['--update', '--project', '.'], { cwd: projectDir });
+  assert(!fs.existsSync(lockPath), 'An old unreadable lock should be replaced and released');
+  assert(fs.readdirSync(projectDir).every((name) => !name.endsWith('.tmp')), 'No temporary lock file should be left behind');
+
+  writeLock(process.pid);
+  runInstaller(['--uninstall', '--project', '.', '--break-lock'], { cwd: projectDir });
+  assert(!fs.existsSync(path.join(projectDir, '.opencode', 'agents', 'review.md')), '--break-lock should let the run proceed');
+  assert(!fs.existsSync(lockPath), 'A broken lock should be released after the run');
+}
+
+function testVerifyReportsDrift(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'verify-project');
+  createDir(projectDir);
+  runInstaller(['--project', '.'], { cwd: projectDir });
+
+  const clean = JSON.parse(runInstaller(['--verify', '--project', '.', '--json'], { cwd: projectDir }));
+  assert(clean.verified === true && clean.scopes[0].ok, 'A fresh install should verify cleanly');
+
+  const opencodeDir = path.join(projectDir, '.opencode');
+  fs.appendFileSync(path.join(opencodeDir, 'agents', 'review.md'), '\nlocal edit\n');
+  fs.rmSync(path.join(opencodeDir, 'commands', 'checkpoint.md'));
+  fs.writeFileSync(path.join(opencodeDir, 'agents', 'injected.md'), '---\ndescription: x\n---\n');
+  fs.writeFileSync(path.join(projectDir, '.opencode-agents-version'), '0.0.1\n');
+
+  let report = null;
+  try {
+    runInstaller(['--verify', '--project', '.', '--json'], { cwd: projectDir });
+  } catch (err) {
+    report = JSON.parse(err.stdout);
+  }
+  assert(report && report.verified === false, '--verify should exit non-zero when files drift');
+  const scopeReport = report.scopes[0];
+  assert(scopeReport.modified.includes(path.join('.opencode', 'agents', 'review.md')), 'Modified files should be reported');
+  assert(scopeReport.missing.includes(path.join('.opencode', 'commands', 'checkpoint.md')), 'Missing files should be reported');
+  assert(scopeReport.extra.includes(path.join('.opencode', 'agents', 'injected.md')), 'Extra files should be reported');
+  assert(scopeReport.errors.some((message) => message.includes('0.0.1')), 'Version mismatches should be reported');
+}
+
+function testStatusReport(tmpRoot) {
+  const homeDir = path.join(tmpRoot, 'status-home');
+  const projectDir = path.join(tmpRoot, 'status-project');
+  createDir(homeDir);
+  createDir(projectDir);
+  const env = { HOME: homeDir, USERPROFILE: homeDir };
+
+  runInstaller(['--project', '.', '--languages', 'go'], { cwd: projectDir, env });
+  runInstaller(['--update', '--project', '.'], { cwd: projectDir, env });
+  const opencodeDir = path.join(projectDir, '.opencode');
+  fs.appendFileSync(path.join(opencodeDir, 'agents', 'review.md'), '\nlocal edit\n');
+  fs.rmSync(path.join(opencodeDir, 'commands', 'checkpoint.md'));
+
+  const report = JSON.parse(runInstaller(['--status', '--json'], { cwd: projectDir, env }));
+  const [globalStatus, projectStatus] = report.scopes;
+  const packageVersion = readJson(path.join(repoRoot, 'package.json')).version;
+  assert(report.packageVersion === packageVersion && !globalStatus.installed, 'Status should report the package version and scopes');
+  assert(projectStatus.installed && projectStatus.installedVersion === packageVersion && projectStatus.upToDate,
+    'Status should compare the installed and package versions');
+  assert(projectStatus.installedAt && projectStatus.updatedAt >= projectStatus.installedAt, 'Status should include manifest timestamps');
+  assert(projectStatus.managedFiles > 0 && projectStatus.modifiedFiles === 1 && projectStatus.missingFiles === 1,
+    'Status should count managed, modified and missing files');
+  assert(projectStatus.languages.requested === 'go', 'Status should show the language filter');
+  assert(projectStatus.config.addedPaths.length > 0, 'Status should list installer-added config keys');
+  assert(projectStatus.backups.sessions > 0 && projectStatus.backups.bytes > 0, 'Status should report backup count and size');
+
+  const text = runInstaller(['--status'], { cwd: projectDir, env });
+  assert(text.includes('1 locally modified, 1 missing') && text.includes('Language filter: go'), 'Text status should show drift and filters');
+}
+
+function testBatchProjects(tmpRoot) {
+  const monorepo = path.join(tmpRoot, 'monorepo');
+  const services = ['billing', 'orders', 'users'].map((name) => path.join(monorepo, 'services', name));
+  services.forEach(createDir);
+
+  const installOutput = runInstaller(['--project', 'services/*'], { cwd: monorepo });
+  services.forEach((dir) => assert(fs.existsSync(path.join(dir, '.opencode', '.agents-opencode-manifest.json')),
+    `Glob batch should install ${dir}`));
+  assert(installOutput.includes('3 installed, 0 updated, 0 unchanged, 0 failed'), 'Batch install should print a summary');
+
+  fs.rmSync(path.join(services[1], '.opencode', 'agents', 'review.md'));
+  const listFile = path.join(monorepo, 'projects.txt');
+  fs.writeFileSync(listFile, '# services to update\nservices/billing\nservices/orders\n\nservices/missing\n');
+  createDir(path.join(monorepo, 'services', 'missing'));
+
+  let output = null;
+  try {
+    runInstaller(['--update', '--projects-from', listFile], { cwd: tmpRoot });
+  } catch (err) {
+    output = String(err.stdout);
+  }
+  assert(output !== null, 'A batch with a failed project should exit non-zero');
+  const row = (dir, result) => new RegExp(`${dir.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s+${result}\\b`).test(output);
+  assert(row(services[0], 'unchanged'), 'Untouched projects should be reported as unchanged');
+  assert(row(services[1], 'updated'), 'Changed projects should be reported as updated');
+  assert(row(path.join(monorepo, 'services', 'missing'), 'failed'), 'Projects without an install should fail');
+  assert(fs.existsSync(path.join(services[1], '.opencode', 'agents', 'review.md')), 'The batch should keep going after a failure');
+
+  const explicit = runInstaller(['--update', '--project', services[0], '--project', services[2]], { cwd: tmpRoot });
+  assert(explicit.includes('0 installed, 0 updated, 2 unchanged, 0 failed'), 'Repeated --project should run as a batch');
+}
+
+function testWorkspaceInstall(tmpRoot) {
+  const rootDir = path.join(tmpRoot, 'workspace-root');
+  createDir(path.join(rootDir, 'packages', 'web'));
+  createDir(path.join(rootDir, 'crates', 'engine'));
+  fs.writeFileSync(path.join(rootDir, 'pnpm-workspace.yaml'), 'packages:\n  - "packages/*"\n');
+  writeJson(path.join(rootDir, 'packages', 'web', 'package.json'), { name: 'web', devDependencies: { typescript: '5' } });
+  fs.writeFileSync(path.join(rootDir, 'Cargo.toml'), '[workspace]\nmembers = ["crates/*"]\n');
+  fs.writeFileSync(path.join(rootDir, 'crates', 'engine', 'Cargo.toml'), '[package]\nname = "engine"\n');
+
+  runInstaller(['--project', '.', '--workspace'], { cwd: rootDir });
+  const manifestPath = path.join(rootDir, '.opencode', '.agents-opencode-manifest.json');
+  let manifest = readJson(manifestPath);
+  assert(JSON.stringify(manifest.workspace.tools) === JSON.stringify(['pnpm', 'cargo']), 'Workspace tools should be recorded');
+  assert(JSON.stringify(manifest.workspace.packages['packages/web'].languages) === JSON.stringify(['node', 'typescript']),
+    'Each package should get its own detected languages');
+  assert(JSON.stringify(manifest.workspace.packages['crates/engine'].languages) === JSON.stringify(['rust']), 'Cargo members should be detected');
+  assert(JSON.stringify(manifest.languages.applied) === JSON.stringify(['node', 'rust', 'typescript']),
+    'The root scope should be filtered to the union of package languages');
+  const skillsDir = path.join(rootDir, '.opencode', 'skills');
+  assert(fs.existsSync(path.join(skillsDir, 'rust')) && !fs.existsSync(path.join(skillsDir, 'python')), 'Language skills should follow the packages');
+
+  const webDir = path.join(rootDir, 'packages', 'web');
+  const engineDir = path.join(rootDir, 'crates', 'engine');
+  assert(fs.existsSync(path.join(webDir, '.opencode', 'skills', 'typescript', 'SKILL.md'))
+    && fs.existsSync(path.join(webDir, '.opencode', 'instructions', 'typescript-strict.instructions.md')),
+    'Each package should get the files for its own languages');
+  assert(!fs.existsSync(path.join(webDir, '.opencode', 'skills', 'rust')) && !fs.existsSync(path.join(engineDir, '.opencode', 'skills', 'typescript')),
+    'A package should not get the files for other packages\' languages');
+  assert(fs.existsSync(path.join(engineDir, '.opencode', 'skills', 'rust', 'SKILL.md'))
+    && fs.existsSync(path.join(engineDir, 'state', 'session-state.json')),
+    'Packages should get their language skills and the project templates');
+  const packageSkill = path.join('crates', 'engine', '.opencode', 'skills', 'rust', 'SKILL.md');
+  assert(manifest.managedFiles.includes(packageSkill) && manifest.fileHashes[packageSkill], 'Package files should be tracked in the root manifest');
+  const verified = JSON.parse(runInstaller(['--verify', '--project', '.', '--json'], { cwd: rootDir }));
+  assert(verified.verified === true, '--verify should accept the package files');
+
+  createDir(path.join(rootDir, 'packages', 'api'));
+  fs.writeFileSync(path.join(rootDir, 'packages', 'api', 'pyproject.toml'), '[project]\nname = "api"\n');
+  fs.rmSync(path.join(engineDir, 'Cargo.toml'));
+  fs.writeFileSync(path.join(engineDir, 'go.mod'), 'module example.com/engine\n');
+  fs.writeFileSync(path.join(rootDir, 'Cargo.toml'), '[workspace]\nmembers = ["crates/*"]\n');
+  runInstaller(['--update', '--project', '.'], { cwd: rootDir });
+  manifest = readJson(manifestPath);
+  assert(manifest.workspace.packages['packages/api'], '--update should re-detect workspace packages');
+  assert(fs.existsSync(path.join(skillsDir, 'python')), 'New package languages should be installed on update');
+  assert(fs.existsSync(path.join(rootDir, 'packages', 'api', '.opencode', 'skills', 'python', 'SKILL.md')), 'New packages should get their own files on update');
+  assert(!fs.existsSync(path.join(engineDir, '.opencode', 'skills', 'rust')) && fs.existsSync(path.join(engineDir, '.opencode', 'skills', 'go')),
+    'A package whose languages changed should swap its language files on update');
+  assert(fs.existsSync(path.join(engineDir, 'state', 'session-state.json')), 'Package templates should survive updates');
+
+  runInstaller(['--uninstall', '--project', '.'], { cwd: rootDir });
+  assert(!fs.existsSync(path.join(webDir, '.opencode')) && !fs.existsSync(path.join(engineDir, '.opencode')),
+    'Uninstall should remove the package files');
+  assert(fs.existsSync(path.join(webDir, 'package.json')), 'Uninstall should leave the package sources alone');
+
+  const plainDir = path.join(tmpRoot, 'not-a-workspace');
+  createDir(plainDir);
+  let failed = false;
+  try {
+    runInstaller(['--project', '.', '--workspace'], { cwd: plainDir });
+  } catch (err) {
+    failed = String(err.stdout).includes('No workspace configuration found');
+  }
+  assert(failed, '--workspace outside a workspace root should fail clearly');
+}
+
+function testWorkspaceRootLanguages(tmpRoot) {
+  const rootDir = path.join(tmpRoot, 'workspace-root-languages');
+  createDir(path.join(rootDir, 'api'));
+  createDir(path.join(rootDir, 'web'));
+  createDir(path.join(rootDir, '.github', 'workflows'));
+  writeJson(path.join(rootDir, 'package.json'), { name: 'mono', workspaces: ['api', 'web'], devDependencies: { typescript: '5' } });
+  writeJson(path.join(rootDir, 'tsconfig.json'), { compilerOptions: { strict: true } });
+  fs.writeFileSync(path.join(rootDir, 'api', 'pyproject.toml'), '[project]\nname = "api"\n');
+  fs.writeFileSync(path.join(rootDir, 'web', 'go.mod'), 'module example.com/web\n');
+
+  runInstaller(['--project', '.', '--workspace'], { cwd: rootDir });
+  const manifest = readJson(path.join(rootDir, '.opencode', '.agents-opencode-manifest.json'));
+  assert(JSON.stringify(manifest.languages.applied) === JSON.stringify(['cicd', 'go', 'node', 'python', 'typescript']),
+    'The root scope should keep the languages detected at the monorepo root');
+  assert(manifest.languages.evidence.typescript.includes('tsconfig.json'), 'Root evidence should not carry a package prefix');
+  assert(JSON.stringify(manifest.workspace.rootLanguages) === JSON.stringify(['cicd', 'node', 'typescript']),
+    'The root scan should skip the package directories');
+  const skillsDir = path.join(rootDir, '.opencode', 'skills');
+  assert(fs.existsSync(path.join(skillsDir, 'typescript')) && fs.existsSync(path.join(skillsDir, 'node-express')),
+    'Root language skills should be installed');
+  assert(fs.existsSync(path.join(rootDir, 'api', '.opencode', 'skills', 'python'))
+    && !fs.existsSync(path.join(rootDir, 'api', '.opencode', 'skills', 'typescript')),
+    'Packages should only get their own languages, not the root ones');
+}
+
+function testTurboWorkspaceInstall(tmpRoot) {
+  const rootDir = path.join(tmpRoot, 'turbo-root');
+  createDir(path.join(rootDir, 'apps', 'api'));
+  createDir(path.join(rootDir, 'apps', 'cli'));
+  writeJson(path.join(rootDir, 'turbo.json'), { tasks: {} });
+  fs.writeFileSync(path.join(rootDir, 'pnpm-workspace.yaml'), "packages: ['apps/*']\n");
+  fs.writeFileSync(path.join(rootDir, 'apps', 'api', 'pyproject.toml'), '[project]\nname = "api"\n');
+  fs.writeFileSync(path.join(rootDir, 'apps', 'cli', 'go.mod'), 'module example.com/cli\n');
+
+  const output = runInstaller(['--project', '.', '--workspace'], { cwd: rootDir });
+  const manifest = readJson(path.join(rootDir, '.opencode', '.agents-opencode-manifest.json'));
+  assert(JSON.stringify(manifest.workspace.tools) === JSON.stringify(['pnpm', 'turbo']), 'Turbo workspaces should be detected with their package manager');
+  assert(JSON.stringify(manifest.workspace.packages['apps/api'].languages) === JSON.stringify(['python'])
+    && JSON.stringify(manifest.workspace.packages['apps/cli'].languages) === JSON.stringify(['go']),
+    'Packages listed by a flow-style pnpm-workspace.yaml should each get their own languages');
+  assert(JSON.stringify(manifest.languages.applied) === JSON.stringify(['go', 'python']), 'The shared root scope should get the union');
+  assert(output.includes('root and package languages: go, python'), 'The output should say which languages the root scope gets');
+
+  const turboOnlyDir = path.join(tmpRoot, 'turbo-only-root');
+  createDir(path.join(turboOnlyDir, 'apps', 'web'));
+  createDir(path.join(turboOnlyDir, 'services', 'ml'));
+  writeJson(path.join(turboOnlyDir, 'turbo.json'), { tasks: {} });
+  writeJson(path.join(turboOnlyDir, 'apps', 'web', 'turbo.json'), { extends: ['//'] });
+  writeJson(path.join(turboOnlyDir, 'apps', 'web', 'package.json'), { name: 'web', devDependencies: { typescript: '5' } });
+  writeJson(path.join(turboOnlyDir, 'services', 'ml', 'turbo.json'), { extends: ['//'] });
+  fs.writeFileSync(path.join(turboOnlyDir, 'services', 'ml', 'requirements.txt'), 'numpy\n');
+
+  runInstaller(['--project', '.', '--workspace'], { cwd: turboOnlyDir });
+  const turboOnly = readJson(path.join(turboOnlyDir, '.opencode', '.agents-opencode-manifest.json'));
+  assert(JSON.stringify(Object.keys(turboOnly.workspace.packages).sort()) === JSON.stringify(['apps/web', 'services/ml']),
+    'Without package manager globs, packages with their own turbo.json should be found');
+  assert(JSON.stringify(turboOnly.languages.applied) === JSON.stringify(['node', 'python', 'typescript']),
+    'The turbo-only workspace should be filtered to the union of its packages');
+}
+
+function testLegacyAgentMigration(tmpRoot) {
+  const projectDir = path.join(tmpRoot, 'legacy-agent-project');
+  createDir(projectDir);
+  runInstaller(['--project', '.'], { cwd: projectDir });
+
+  // Recreate a v1 layout: agent/ (singular) holding a managed file with a local edit and a custom agent.
+  const opencodeDir = path.join(projectDir, '.opencode');
+  const legacyDir = path.join(opencodeDir, 'agent');
+  const manifestPath = path.join(opencodeDir, '.agents-opencode-manifest.json');
+  createDir(legacyDir);
+  fs.renameSync(path.join(opencodeDir, 'agents', 'review.md'), path.join(legacyDir, 'review.md'));
+  fs.appendFileSync(path.join(legacyDir, 'review.md'), '\nlocal v1 edit\n');
+  fs.writeFileSync(path.join(legacyDir, 'custom.md'), '---\ndescription: custom\n---\n');
+  fs.copyFileSync(path.join(opencodeDir, 'agents', 'codebase.md'), path.join(legacyDir, 'codebase.md'));
+  const manifest = readJson(manifestPath);
+  const [managedPath, legacyPath] = [path.join('.opencode', 'agents', 'review.md'), path.join('.opencode', 'agent', 'review.md')];
+  manifest.managedFiles = manifest.managedFiles.map((entry) => (entry === managedPath ? legacyPath : entry));
+  manifest.fileHashes[legacyPath] = manifest.fileHashes[managedPath];
+  delete manifest.fileHashes[managedPath];
+  writeJson(manifestPath, manifest);
+
+  let refused = false;
+  try {
+    runInstaller(['--update', '--project', '.'], { cwd: projectDir });
+  } catch (err) {
+    refused = String(err.stdout).includes('--migrate');
+  }
+  assert(refused, 'A legacy agent/ directory should still block a plain update and mention --migrate');
+
+  const sessionsBefore = listProjectBackupSessions(projectDir).length;
+  runInstaller(['--update', '--project', '.', '--migrate'], { cwd: projectDir });
+  assert(!fs.existsSync(legacyDir), '--migrate should remove the legacy directory');
+  assert(fs.readFileSync(path.join(opencodeDir, 'agents', 'review.md'), 'utf8').includes('local v1 edit'),
+    'Moved files keep their recorded hashes, so local edits are preserved');
+  assert(fs.existsSync(path.join(opencodeDir, 'agents', 'custom.md')), 'Custom legacy agents should be moved');
+  const migrated = readJson(manifestPath);
+  assert(!migrated.managedFiles.some((entry) => entry.includes(`${path.sep}agent${path.sep}`)), 'The manifest should only list agents/ paths');
+  assert(migrated.managedFiles.includes(managedPath), 'The migrated file should stay managed');
+
+  const sessions = listProjectBackupSessions(projectDir);
+  assert(sessions.length === sessionsBefore + 1, 'The migration should create one backup session');
+  ['review.md', 'custom.md', 'codebase.md'].forEach((name) => {
+    assert(hasBackedUpFile(sessions[sessions.length - 1], path.join('.opencode', 'agent', name)), `Legacy ${name} should be backed up`);
+  });
+}
+
+function copyPackage(destDir, version) {
+  const pkg = readJson(path.join(repoRoot, 'package.json'));
+  createDir(destDir);
+  for (const entry of pkg.files) {
+    fs.cpSync(path.join(repoRoot, entry), path.join(destDir, entry), { recursive: true });
+  }
+  writeJson(path.join(destDir, 'package.json'), { ...pkg, version });
+}
+
+function testConfigMergeSpec(tmpRoot) {
+  const packageDir = path.join(tmpRoot, 'merge-spec-pack');
+  copyPackage(packageDir, readJson(path.join(repoRoot, 'package.json')).version);
+  const packageConfig = readJson(path.join(packageDir, 'opencode.json'));
+  writeJson(path.join(packageDir, 'opencode.json'), {
+    ...packageConfig,
+    instructions: ['.opencode/house-rules.md'],
+    agent: { review: { temperature: 0.1, tools: { write: false } } },
+    command: { checkpoint: { template: 'Save a checkpoint of the current task.', description: 'Save progress' } },
+    mcp: { docs: { type: 'remote', url: 'https://docs.example.com/mcp' } },
+    model: 'package/model',
+  });
+
+  const projectDir = path.join(tmpRoot, 'merge-spec-project');
+  createDir(projectDir);
+  const configPath = path.join(projectDir, 'opencode.json');
+  writeJson(configPath, {
+    model: 'user/model',
+    instructions: ['CONTRIBUTING.md'],
+    agent: { review: { temperature: 0.7 } },
+    mcp: { own: { type: 'local', command: ['own-mcp'] } },
+  });
+
+  runInstaller(['--project', '.', '--from', packageDir], { cwd: projectDir });
+  let config = readJson(configPath);
+  assert(config.model === 'user/model', 'never-touch keys should not be merged');
+  assert(JSON.stringify(config.instructions) === JSON.stringify(['CONTRIBUTING.md', '.opencode/house-rules.md']),
+    'union-array keys should append missing items');
+  assert(config.agent.review.temperature === 0.7 && config.agent.review.tools.write === false,
+    'deep-merge keys should add nested defaults without overriding user values');
+  assert(config.mcp.own && config.mcp.docs && config.command.checkpoint, 'deep-merge keys should add missing entries');
+  assert(Object.keys(config)[0] === '$schema', '$schema should be inserted first');
+  const addedPaths = readJson(path.join(projectDir, '.opencode', '.agents-opencode-manifest.json')).configPatch.addedPaths
+    .map((entry) => entry.path.join('.'));
+  for (const expected of ['$schema', 'agent.review.tools', 'command', 'mcp.docs', 'permission']) {
+    assert(addedPaths.includes(expected), `Manifest should record the added path ${expected}`);
+  }
+
+  config.mcp.docs.url = 'https://docs.internal.example/mcp';
+  config.agent.review.tools.bash = true;
+  writeJson(configPath, config);
+
+  runInstaller(['--uninstall', '--project', '.'], { cwd: projectDir });
+  config = readJson(configPath);
+  assert(JSON.stringify(config) === JSON.stringify({
+    model: 'user/model',
+    instructions: ['CONTRIBUTING.md'],
+    agent: { review: { temperature: 0.7, tools: { bash: true } } },
+    mcp: { own: { type: 'local', command: ['own-mcp'] }, docs: { type: 'remote', url: 'https://docs.internal.example/mcp' } },
+  }), 'Uninstall should remove the recorded paths, keep user edits and keep user additions inside installer objects');
+}
+
+function testConfigSchemaValidation(tmpRoot) {
+  const packageDir = path.join(tmpRoot, 'schema-pack');
+  copyPackage(packageDir, readJson(path.join(repoRoot, 'package.json')).version);
+  const packageConfigPath = path.join(packageDir, 'opencode.json');
+  const packageConfig = readJson(packageConfigPath);
+  writeJson(packageConfigPath, { ...packageConfig, permission: { ...packageConfig.permission, doom_loop: 'never' } });
+
+  const projectDir = path.join(tmpRoot, 'schema-project');
+  createDir(projectDir);
+  try {
+    runInstaller(['--project', '.', '--from', packageDir], { cwd: projectDir });
+    throw new Error('Expected an invalid package config to be rejected');
+  } catch (err) {
+    assert(err.stdout && err.stdout.includes('/permission/doom_loop: must be one of allow, ask, deny'),
+      'An invalid package config should be rejected with a JSON pointer to the bad value');
+  }
+  assert(!fs.existsSync(path.join(projectDir, '.opencode')), 'Nothing should be installed from an invalid package config');
+
+  // The user's own mcp entry is invalid; the installer never writes it, so it is
+  // reported and the installer's keys are still merged.
+  const configPath = path.join(projectDir, 'opencode.json');
+  const userConfig = '{\n  "mcp": { "docs": { "type": "remote" } }\n}\n';
+  fs.writeFileSync(configPath, userConfig);
+  const output = runInstaller(['--project', '.'], { cwd: projectDir });
+  assert(output.includes('/mcp/docs: must have required property "url"'), 'Errors in user keys should be reported by JSON pointer');
+  const merged = readJson(configPath);
+  assert(merged.permission && merged.permission.doom_loop === 'deny' && merged.plugin.includes('agents-opencode'),
+    'Errors in keys the installer does not write should not block the merge');
+  assert(JSON.stringify(merged.mcp) === JSON.stringify({ docs: { type: 'remote' } }), 'The invalid user key should be left as it is');
+  const manifest = readJson(path.join(projectDir, '.opencode', '.agents-opencode-manifest.json'));
+  assert(!manifest.configPatch.skipped && manifest.configPatch.addedPaths.length > 0, 'The merge should be recorded');
+
+  runInstaller(['--uninstall', '--project', '.'], { cwd: projectDir });
+  assert(fs.readFileSync(configPath, 'utf8') === userConfig, 'Uninstall should leave only the user config');
+}
+
+function testInstallFromAlternateSource(tmpRoot) {
+  const forkDir = path.join(tmpRoot, 'fork-pack', 'package');
+  copyPackage(forkDir, '9.0.0-rc.1');
+  const forkReview = path.join(forkDir, '.opencode', 'agents', 'review.md');
+  fs.appendFileSync(forkReview, '\nFork marker one.\n');
+
+  const projectDir = path.join(tmpRoot, 'from-dir-project');
+  createDir(projectDir);
+  runInstaller(['--project', '.', '--from', forkDir], { cwd: projectDir });
+
+  const manifestPath = path.join(projectDir, '.opencode', '.agents-opencode-manifest.json');
+  const installedReview = path.join(projectDir, '.opencode', 'agents', 'review.md');
+  let manifest = readJson(manifestPath);
+  assert(manifest.sourceVersion === '9.0.0-rc.1', 'Installs from --from should record the source version');
+  assert(manifest.source.type === 'directory' && manifest.source.path === forkDir, 'The source directory should be recorded');
+  assert(fs.readFileSync(installedReview, 'utf8').includes('Fork marker one.'), 'Files should come from the --from directory');
+
+  fs.appendFileSync(forkReview, 'Fork marker two.\n');
+  runInstaller(['--update', '--project', '.'], { cwd: projectDir });
+  assert(fs.readFileSync(installedReview, 'utf8').includes('Fork marker two.'), '--update should pull from the recorded source');
+
+  const archivePath = path.join(tmpRoot, 'fork-pack.tgz');
+  execFileSync('tar', ['-czf', archivePath, '-C', path.dirname(forkDir), 'package']);
+  const tarballProject = path.join(tmpRoot, 'from-tgz-project');
+  createDir(tarballProject);
+  runInstaller(['--project', '.', '--from', archivePath], { cwd: tarballProject });
+  manifest = readJson(path.join(tarballProject, '.opencode', '.agents-opencode-manifest.json'));
+  assert(manifest.source.type === 'tarball' && manifest.source.path === archivePath, 'The source archive should be recorded');
+  assert(fs.readFileSync(path.join(tarballProject, '.opencode', 'agents', 'review.md'), 'utf8').includes('Fork marker two.'),
+    'Files should come from the --from archive');
+
+  fs.rmSync(forkDir, { recursive: true });
+  let failed = false;
+  try {
+    runInstaller(['--update', '--project', '.'], { cwd: projectDir });
+  } catch (err) {
+    failed = String(err.stdout).includes('--from bundled');
+  }
+  assert(failed, 'A missing recorded source should fail with a hint');
+
+  runInstaller(['--update', '--project', '.', '--from', 'bundled', '--allow-downgrade'], { cwd: projectDir });
+  manifest = readJson(manifestPath);
+  assert(manifest.source.type === 'package' && manifest.source.path === null, '--from bundled should return to the bundled package');
+  assert(manifest.sourceVersion === readJson(path.join(repoRoot, 'package.json')).version, 'The bundled version should be recorded');
+}
+
+function testVersionPinningAndDowngrade(tmpRoot) {
+  const bundledVersion = readJson(path.join(repoRoot, 'package.json')).version;
+  const majorDir = path.join(tmpRoot, 'major-pack');
+  copyPackage(majorDir, `${Number(bundledVersion.split('.')[0]) + 1}.0.0`);
+  fs.writeFileSync(path.join(majorDir, '.opencode', 'instructions', 'next-major.md'), '# Next major\n');
+
+  const projectDir = path.join(tmpRoot, 'pin-project');
+  createDir(projectDir);
+  runInstaller(['--project', '.'], { cwd: projectDir });
+  const manifestPath = path.join(projectDir, '.opencode', '.agents-opencode-manifest.json');
+  const expectFailure = (args, expected, message) => {
+    let output = null;
+    try {
+      runInstaller(args, { cwd: projectDir });
+    } catch (err) {
+      output = String(err.stdout);
+    }
+    assert(output !== null && output.includes(expected), message);
+  };
+
+  expectFailure(['--update', '--project', '.', '--from', majorDir], '--allow-major', 'Major updates should need --allow-major');
+  assert(readJson(manifestPath).sourceVersion === bundledVersion, 'A refused update should leave the install alone');
+
+  const [major, minor] = bundledVersion.split('.');
+  runInstaller(['--update', '--project', '.', '--pin', `${major}.${minor}.x`], { cwd: projectDir });
+  assert(readJson(manifestPath).pin === `${major}.${minor}.x`, '--pin should be recorded in the manifest');
+  expectFailure(['--update', '--project', '.', '--from', majorDir, '--allow-major'], 'pinned',
+    'The recorded pin should block versions outside the range');
+
+  runInstaller(['--update', '--project', '.', '--from', majorDir, '--allow-major', '--pin', 'none'], { cwd: projectDir });
+  let manifest = readJson(manifestPath);
+  assert(manifest.pin === null && manifest.sourceVersion !== bundledVersion, '--allow-major with --pin none should update');
+
+  const newFile = path.join('.opencode', 'instructions', 'next-major.md');
+  expectFailure(['--update', '--project', '.', '--from', 'bundled'], newFile, 'Refused downgrades should list the files to remove');
+  const output = runInstaller(['--update', '--project', '.', '--from', 'bundled', '--allow-downgrade'], { cwd: projectDir });
+  assert(output.includes('Downgrading') && output.includes(newFile), 'Downgrades should warn and list the removed files');
+  manifest = readJson(manifestPath);
+  assert(manifest.sourceVersion === bundledVersion, 'The downgrade should record the older version');
+  assert(!fs.existsSync(path.join(projectDir, newFile)), 'Files missing from the older package should be removed');
+}
+
 function main() {
   const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'agents-opencode-installer-'));
 
@@ -164,7 +1276,35 @@ function main() {
     testNoopUninstallDoesNotBackupAgents(tmpRoot);
     testProjectInstallAndUninstall(tmpRoot);
     testConfigMergePreservesUserData(tmpRoot);
+    testSkippedMergeRecoversOnUpdate(tmpRoot);
+    testJsoncConfigPreservesFormatting(tmpRoot);
+    testPluginEntriesLifecycle(tmpRoot);
+    testConfigConflictsAndEnforcedDefaults(tmpRoot);
     testGlobalAndProjectLifecycle(tmpRoot);
+    testRestoreReplaysBackupSession(tmpRoot);
+    testBackupManagement(tmpRoot);
+    testCompressedBackupSessions(tmpRoot);
+    testDryRunPlansWithoutWriting(tmpRoot);
+    testUpdatePreservesLocallyModifiedFiles(tmpRoot);
+    testOverlaysSurviveUpdates(tmpRoot);
+    testGlobalConfigDirResolution(tmpRoot);
+    testComponentSelection(tmpRoot);
+    testInstallProfiles(tmpRoot);
+    testLanguageAutoDetection(tmpRoot);
+    testLanguageFilterCoversSkills(tmpRoot);
+    testFailedInstallRollsBack(tmpRoot);
+    testScopeLock(tmpRoot);
+    testVerifyReportsDrift(tmpRoot);
+    testStatusReport(tmpRoot);
+    testBatchProjects(tmpRoot);
+    testWorkspaceInstall(tmpRoot);
+    testWorkspaceRootLanguages(tmpRoot);
+    testTurboWorkspaceInstall(tmpRoot);
+    testLegacyAgentMigration(tmpRoot);
+    testInstallFromAlternateSource(tmpRoot);
+    testConfigMergeSpec(tmpRoot);
+    testConfigSchemaValidation(tmpRoot);
+    testVersionPinningAndDowngrade(tmpRoot);
 
     console.log('✅ Installer lifecycle tests passed');
   } catch (err) {